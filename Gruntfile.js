@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = function (grunt) {
+  require('load-grunt-tasks')(grunt);
+
+  grunt.initConfig({
+    eslint: {
+      target: ['Gruntfile.js', 'index.js', 'bin/routicorn', 'lib', 'example', 'benchmark', 'test']
+    },
+
+    mocha_istanbul: { // eslint-disable-line camelcase
+      coverage: {
+        src: 'test',
+        options: {
+          mask: '*.test.js',
+          root: './lib',
+          reportFormats: ['lcov', 'text-summary']
+        }
+      }
+    },
+
+    coveralls: {
+      all: {
+        src: 'coverage/lcov.info'
+      }
+    }
+  });
+
+  grunt.registerTask('lint', ['eslint']);
+  grunt.registerTask('test', ['eslint', 'mocha_istanbul:coverage']);
+  grunt.registerTask('default', ['test']);
+};
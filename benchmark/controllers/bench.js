@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+
+  show: function (req, res, next) {
+    res.end();
+  }
+
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Compare the nested dispatch with the compiled dispatch
+ *
+ * Usage: `node benchmark/dispatch.js [sections=20] [actionsPerSection=20] [iterations=20000]
+ * [rounds=5]`
+ *
+ * Every section is a segment route with a param, holding the given number of action routes. Half
+ * of the action routes handle GET requests, the other half POST requests. Requests are dispatched
+ * directly into the middleware function, without any HTTP overhead. Both modes take turns for the
+ * given number of rounds, the fastest round of each counts.
+ */
+
+var path = require('path');
+var routicorn = require('..');
+
+var SECTIONS = parseInt(process.argv[2] || '20', 10);
+var ACTIONS = parseInt(process.argv[3] || '20', 10);
+var ITERATIONS = parseInt(process.argv[4] || '20000', 10);
+var ROUNDS = parseInt(process.argv[5] || '5', 10);
+
+function createRouteConfigs() {
+  var configs = {};
+
+  for (var i = 0; i < SECTIONS; i++) {
+    var routes = {};
+
+    for (var j = 0; j < ACTIONS; j++) {
+      routes['item_' + i + '_' + j] = {
+        pattern: '/item' + j,
+        controller: 'bench.show',
+        method: j % 2 ? 'post' : 'get'
+      };
+    }
+
+    configs['_section_' + i] = {
+      pattern: '/section' + i + '/:id',
+      requirements: {
+        id: '\\d+'
+      },
+      routes: routes
+    };
+  }
+
+  return configs;
+}
+
+function createRouter(compiled) {
+  var router = routicorn({
+    controllerBasePath: path.join(__dirname, 'controllers'),
+    compiled: compiled
+  });
+
+  router.instance.loadRoutes(createRouteConfigs());
+
+  return router;
+}
+
+function run(router, urls) {
+  var handled = 0;
+
+  function end() {
+    handled++;
+  }
+
+  function fail(err) {
+    throw err || new Error('Request not handled');
+  }
+
+  var start = process.hrtime();
+
+  for (var i = 0; i < ITERATIONS; i++) {
+    router({
+      method: 'GET',
+      url: urls[i % urls.length],
+      headers: {}
+    }, {
+      end: end
+    }, fail);
+  }
+
+  var duration = process.hrtime(start);
+  var ms = duration[0] * 1e3 + duration[1] / 1e6;
+
+  if (handled !== ITERATIONS) {
+    throw new Error('Only ' + handled + ' of ' + ITERATIONS + ' requests have been handled');
+  }
+
+  return {
+    ms: ms,
+    opsPerSec: Math.round(ITERATIONS / ms * 1e3)
+  };
+}
+
+function createUrls() {
+  var urls = [];
+
+  for (var i = 0; i < SECTIONS; i++) {
+    for (var j = 0; j < ACTIONS; j += 2) {
+      urls.push('/section' + i + '/' + (i * 100 + j) + '/item' + j);
+    }
+  }
+
+  return urls;
+}
+
+console.log(
+  'Dispatching %d requests to %d action routes in %d sections, best of %d rounds\n',
+  ITERATIONS,
+  SECTIONS * ACTIONS,
+  SECTIONS,
+  ROUNDS
+);
+
+var requestUrls = createUrls();
+var nestedRouter = createRouter(false);
+var compiledRouter = createRouter(true);
+var nestedResult = null;
+var compiledResult = null;
+
+function fastest(best, result) {
+  return best && best.ms < result.ms ? best : result;
+}
+
+for (var round = 0; round < ROUNDS; round++) {
+  nestedResult = fastest(nestedResult, run(nestedRouter, requestUrls));
+  compiledResult = fastest(compiledResult, run(compiledRouter, requestUrls));
+}
+
+console.log('nested:   %d ms, %d req/s', nestedResult.ms.toFixed(1), nestedResult.opsPerSec);
+console.log('compiled: %d ms, %d req/s', compiledResult.ms.toFixed(1), compiledResult.opsPerSec);
+
+console.log('\nSpeedup: %sx', (nestedResult.ms / compiledResult.ms).toFixed(2));
@@ -4,6 +4,7 @@ var http = require('http');
 var path = require('path');
 var express = require('express');
 var routicorn = require('..');
+var setup = require('./setup');
 
 var app = express();
 
@@ -11,13 +12,7 @@ var router = routicorn({
   controllerBasePath: path.join(__dirname, 'controllers')
 });
 
-var jsonBodyParser = require('body-parser').json();
-
-router.instance.on('route registered', function (route) {
-  if (route.handlesMethod('post')) {
-    route.use(jsonBodyParser);
-  }
-});
+setup(router.instance);
 
 router.instance.loadRoutes(path.join(__dirname, 'routing', 'main.yml'));
 
@@ -1,8 +1,6 @@
 'use strict';
 
-var userBooks = {};
-
-function getUserBooks(username) {
+function getUserBooks(userBooks, username) {
   if (!userBooks[username]) {
     userBooks[username] = [];
   }
@@ -10,10 +8,16 @@ function getUserBooks(username) {
   return userBooks[username];
 }
 
-module.exports = {
+function BookController(userBooks) {
+  this.userBooks = userBooks;
+}
+
+BookController.inject = ['userBooks'];
 
-  list: function (req, res, next) {
-    var books = getUserBooks(req.params.username);
+BookController.prototype = {
+
+  index: function (req, res, next) {
+    var books = getUserBooks(this.userBooks, req.params.username);
 
     if (books.length === 0) {
       res.send('No books found.');
@@ -26,7 +30,7 @@ module.exports = {
   },
 
   create: function (req, res, next) {
-    var books = getUserBooks(req.params.username);
+    var books = getUserBooks(this.userBooks, req.params.username);
 
     var bookslug = req.body.bookslug;
 
@@ -37,11 +41,11 @@ module.exports = {
 
     books.push(bookslug);
 
-    res.redirect('list_books');
+    res.redirect('books_index');
   },
 
   show: function (req, res, next) {
-    var books = getUserBooks(req.params.username);
+    var books = getUserBooks(this.userBooks, req.params.username);
 
     var bookslug = req.params.bookslug;
 
@@ -53,12 +57,14 @@ module.exports = {
     res.send('Here comes the book: ' + bookslug);
   },
 
-  remove: function (req, res, next) {
-    var books = getUserBooks(req.params.username);
+  destroy: function (req, res, next) {
+    var books = getUserBooks(this.userBooks, req.params.username);
 
     books.splice(books.indexOf(req.params.bookslug), 1);
 
-    req.forward('list_books', req, res, next);
+    req.forward('books_index', 'get', {params: req.params}, next);
   }
 
 };
+
+module.exports = BookController;
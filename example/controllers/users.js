@@ -1,9 +1,11 @@
 'use strict';
 
-function UserController() {
-  this.users = [];
+function UserController(users) {
+  this.users = users;
 }
 
+UserController.inject = ['users'];
+
 UserController.prototype.list = function (req, res, next) {
   if (this.users.length === 0) {
     return res.send('No users found.');
@@ -49,7 +51,7 @@ UserController.prototype.show = function (req, res, next) {
     return;
   }
 
-  var listBooksLink = '<a href="' + req.generatePath('list_books') + '">See the books</a>';
+  var listBooksLink = '<a href="' + req.generatePath('books_index') + '">See the books</a>';
 
   res.send('User: ' + username + '. ' + listBooksLink);
 };
@@ -0,0 +1,19 @@
+'use strict';
+
+var bodyParser = require('body-parser');
+
+/**
+ * Register the services and middleware the routes of the example depend on. Shared by the app and
+ * the command line tool: `routicorn routes -r example/routing/main.yml -c example/controllers -s
+ * example/setup.js`
+ *
+ * @param {Routicorn} router
+ */
+module.exports = function (router) {
+  router.container.register('users', []);
+  router.container.register('userBooks', {});
+
+  router.registerMiddleware('json_body', function (options) {
+    return bodyParser.json(options);
+  });
+};
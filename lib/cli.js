@@ -0,0 +1,376 @@
+'use strict';
+
+var _ = require('lodash');
+var path = require('path');
+var thr = require('format-throw');
+var Routicorn = require('./routicorn');
+
+/**
+ * @constant {string} DEFAULT_ROUTING_FILE
+ */
+var DEFAULT_ROUTING_FILE = 'app/routing/main.yml';
+
+/**
+ * @constant {string} DEFAULT_CONTROLLER_BASE_PATH
+ */
+var DEFAULT_CONTROLLER_BASE_PATH = 'app/controllers';
+
+var USAGE = [
+  'Usage: routicorn <command> [options]',
+  '',
+  'Commands:',
+  '  routes                      List the action routes',
+  '  match <method> <url>        Show the route that handles a request',
+  '  generate <route> [k=v ...]  Generate the path of a route',
+  '  validate                    Load the routes and check that all controller actions exist',
+  '',
+  'Options:',
+  '  -r, --routing <file>        Routing file, may be repeated [' + DEFAULT_ROUTING_FILE + ']',
+  '  -c, --controllers <dir>     Controller base path [' + DEFAULT_CONTROLLER_BASE_PATH + ']',
+  '  -s, --setup <file>          Module exporting a function that sets up the router before the',
+  '                              routes are loaded, like registering middleware and services',
+  '  -t, --tag <tag>             routes: Only list routes with this tag',
+  '  -n, --name <filter>         routes: Only list routes whose name contains the filter, `*` is',
+  '                              a wildcard',
+  '      --tree                  routes: Print the route tree instead of a table',
+  '  -l, --locale <locale>       generate: Locale of the route variant',
+  '  -H, --header <name:value>   match: Request header, may be repeated',
+  '  -h, --help                  Show this help'
+].join('\n');
+
+/**
+ * Known options by name. Repeatable options are collected in arrays.
+ *
+ * @private
+ * @type {object.<string, object>}
+ */
+var OPTIONS = {
+  routing: {alias: 'r', repeatable: true},
+  controllers: {alias: 'c'},
+  setup: {alias: 's', repeatable: true},
+  tag: {alias: 't'},
+  name: {alias: 'n'},
+  locale: {alias: 'l'},
+  header: {alias: 'H', repeatable: true},
+  tree: {flag: true},
+  help: {alias: 'h', flag: true}
+};
+
+/**
+ * Parse command line arguments
+ *
+ * @private
+ * @param {string[]} argv Arguments without the node executable and the script
+ * @returns {object} Options by name, positional arguments are collected in `_`
+ */
+function parseArgs(argv) {
+  var args = {_: []};
+  var aliases = {};
+
+  _.each(OPTIONS, function (optionSpec, optionName) {
+    if (optionSpec.alias) {
+      aliases[optionSpec.alias] = optionName;
+    }
+
+    if (optionSpec.repeatable) {
+      args[optionName] = [];
+    }
+  });
+
+  for (var i = 0; i < argv.length; i++) {
+    var match = /^(?:--([\w-]+)|-(\w))(?:=(.*))?$/.exec(argv[i]);
+
+    if (!match) {
+      args._.push(argv[i]);
+      continue;
+    }
+
+    var name = match[1] || aliases[match[2]];
+    var option = OPTIONS[name];
+
+    if (!option) {
+      thr('Unknown option: %s', argv[i]);
+    }
+
+    var value = true;
+    if (!option.flag) {
+      value = match[3] !== undefined ? match[3] : argv[++i];
+
+      if (value === undefined) {
+        thr('Option --%s expects a value', name);
+      }
+    }
+
+    if (option.repeatable) {
+      args[name].push(value);
+    } else {
+      args[name] = value;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Parse `key=value` arguments
+ *
+ * @private
+ * @param {string[]} pairs
+ * @param {string} separator
+ * @returns {object}
+ */
+function parsePairs(pairs, separator) {
+  return _.reduce(pairs, function (memo, pair) {
+    var idx = pair.indexOf(separator);
+
+    if (idx < 1) {
+      thr('Expected <name>%s<value>, got "%s"', separator, pair);
+    }
+
+    memo[_.trim(pair.substr(0, idx))] = _.trim(pair.substr(idx + 1));
+
+    return memo;
+  }, {});
+}
+
+/**
+ * Create a router and run the setup modules
+ *
+ * @private
+ * @param {object} args
+ * @returns {Routicorn}
+ */
+function setupRouter(args) {
+  var router = new Routicorn({
+    controllerBasePath: path.resolve(args.controllers || DEFAULT_CONTROLLER_BASE_PATH)
+  }).instance;
+
+  args.setup.forEach(function (file) {
+    var setup = require(path.resolve(file));
+
+    if (!_.isFunction(setup)) {
+      thr('Setup module %s must export a function', file);
+    }
+
+    setup(router);
+  });
+
+  return router;
+}
+
+/**
+ * Load the routing files
+ *
+ * @private
+ * @param {Routicorn} router
+ * @param {object} args
+ */
+function loadRoutingFiles(router, args) {
+  (args.routing.length > 0 ? args.routing : [DEFAULT_ROUTING_FILE]).forEach(function (file) {
+    router.loadRoutes(path.resolve(file));
+  });
+}
+
+/**
+ * Create a router and load the routing files
+ *
+ * @private
+ * @param {object} args
+ * @returns {Routicorn}
+ */
+function createRouter(args) {
+  var router = setupRouter(args);
+
+  loadRoutingFiles(router, args);
+
+  return router;
+}
+
+/**
+ * Describe the controller actions of an action route, like `users.show`
+ *
+ * @private
+ * @param {ActionRoute} route
+ * @returns {string}
+ */
+function describeController(route) {
+  if (!route.controllerName) {
+    return route.template ? 'view ' + route.template : 'redirect';
+  }
+
+  return _.unique(_.values(route._actions)).map(function (methodName) {
+    return route.controllerName + '.' + methodName;
+  }).join(', ');
+}
+
+/**
+ * Format rows as a table with aligned columns
+ *
+ * @private
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+function formatTable(rows) {
+  var widths = rows[0].map(function (cell, idx) {
+    return _.max(_.pluck(rows, idx).map(function (value) {
+      return value.length;
+    }));
+  });
+
+  return rows.map(function (row) {
+    return _.trimRight(row.map(function (cell, idx) {
+      return _.padRight(cell, widths[idx]);
+    }).join('  '));
+  }).join('\n');
+}
+
+/**
+ * Commands by name. Commands get passed the parsed arguments and return the exit code.
+ *
+ * @private
+ * @type {object.<string, function>}
+ */
+var COMMANDS = {
+  routes: function (args) {
+    var nameFilter = null;
+    if (args.name) {
+      nameFilter = args.name.indexOf('*') === -1 ?
+        new RegExp(_.escapeRegExp(args.name)) :
+        new RegExp('^' + args.name.split('*').map(_.escapeRegExp).join('.*') + '$');
+    }
+
+    var router = createRouter(args);
+
+    if (args.tree) {
+      console.log(router.getRouteTree());
+      return 0;
+    }
+
+    var routes = router.getRoutes(args.tag, true).filter(function (route) {
+      return route.actionable && (!nameFilter || nameFilter.test(route.name));
+    });
+
+    console.log(formatTable([['Name', 'Verbs', 'Pattern', 'Controller']].concat(routes.map(function (route) {
+      return [
+        route.name,
+        route.verbs.join(',').toUpperCase(),
+        route.getFullPattern(),
+        describeController(route)
+      ];
+    }))));
+
+    return 0;
+  },
+
+  match: function (args) {
+    if (args._.length !== 2) {
+      thr('Usage: routicorn match <method> <url>');
+    }
+
+    var result = createRouter(args).match(args._[0], args._[1], {
+      headers: parsePairs(args.header, ':')
+    });
+
+    if (!result.matched) {
+      console.log('No match (%s): %s', result.reason.code, result.reason.message);
+
+      if (result.reason.allowedMethods) {
+        console.log('Allowed methods: %s', result.reason.allowedMethods.join(', '));
+      }
+
+      return 1;
+    }
+
+    var rows = [
+      ['Route', result.route.name],
+      ['Pattern', result.route.getFullPattern()],
+      ['Controller', describeController(result.route)]
+    ];
+
+    if (result.format) {
+      rows.push(['Format', result.format]);
+    }
+
+    _.each(result.params, function (value, param) {
+      rows.push(['Param ' + param, JSON.stringify(value)]);
+    });
+
+    _.each(result.query, function (value, key) {
+      rows.push(['Query ' + key, JSON.stringify(value)]);
+    });
+
+    console.log(formatTable(rows));
+
+    return 0;
+  },
+
+  generate: function (args) {
+    if (args._.length < 1) {
+      thr('Usage: routicorn generate <route> [name=value ...]');
+    }
+
+    var params = parsePairs(args._.slice(1), '=');
+
+    if (args.locale) {
+      params._locale = args.locale;
+    }
+
+    console.log(createRouter(args).generatePath(args._[0], params));
+
+    return 0;
+  },
+
+  validate: function (args) {
+    var router = setupRouter(args);
+    var errors = router._routeFactory.collectControllerErrors(function () {
+      loadRoutingFiles(router, args);
+    });
+
+    if (errors.length > 0) {
+      console.error('Missing controllers and actions:\n  - %s', errors.join('\n  - '));
+      return 1;
+    }
+
+    var routes = router.getRoutes(null, true);
+
+    console.log('Routes are valid: %d routes, %d action routes', routes.length, _.filter(routes, 'actionable').length);
+
+    return 0;
+  }
+};
+
+/**
+ * Run the command line tool
+ *
+ * @param {string[]} argv Arguments without the node executable and the script
+ * @returns {number} Exit code
+ */
+module.exports = function (argv) {
+  var args;
+  var command;
+
+  try {
+    args = parseArgs(argv);
+    command = args._.shift();
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  if (args.help || !command) {
+    console.log(USAGE);
+    return args.help ? 0 : 2;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error('Unknown command: %s\n\n%s', command, USAGE);
+    return 2;
+  }
+
+  try {
+    return COMMANDS[command](args);
+  } catch (e) {
+    console.error('Error: %s', e.message);
+    return 1;
+  }
+};
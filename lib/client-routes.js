@@ -0,0 +1,257 @@
+'use strict';
+
+var _ = require('lodash');
+var thr = require('format-throw');
+
+/**
+ * Exports routes as a standalone JavaScript module for browsers, see
+ * {@link Routicorn#exportClientRoutes}
+ *
+ * @namespace ClientRoutes
+ * @private
+ */
+module.exports = exports = {};
+
+var FORMATS = ['umd', 'esm'];
+
+/**
+ * @constant {string} DEFAULT_GLOBAL_NAME
+ */
+var DEFAULT_GLOBAL_NAME = 'routicornRoutes';
+
+/**
+ * Runtime of the exported module. This function is never called here, its source code is embedded
+ * in the exported module, so it must not refer to anything outside of itself. Path generation
+ * follows {@link BaseRoute#generatePath}, query strings are built like `qs.stringify()` does.
+ *
+ * @private
+ * @param {object} routes Serialized routes, by name
+ * @param {object} aliases Route names, by alias
+ * @returns {object}
+ */
+function createClientRoutes(routes, aliases) {
+  function isMissing(val) {
+    return val === undefined || val === null || val === '';
+  }
+
+  function stringifyQuery(obj, prefix) {
+    if (obj instanceof Date) {
+      obj = obj.toISOString();
+    } else if (obj === null) {
+      obj = '';
+    }
+
+    if (typeof obj === 'string' || typeof obj === 'number' || typeof obj === 'boolean') {
+      return [encodeURIComponent(prefix) + '=' + encodeURIComponent(obj)];
+    }
+
+    if (obj === undefined) {
+      return [];
+    }
+
+    return Object.keys(obj).reduce(function (memo, key) {
+      return memo.concat(stringifyQuery(obj[key], prefix + '[' + key + ']'));
+    }, []);
+  }
+
+  function generatePath(routeName, params, query) {
+    var route = routes[routeName] || routes[aliases[routeName]];
+
+    if (!route) {
+      throw new Error('Route does not exist: ' + routeName);
+    }
+
+    params = params || {};
+
+    function generateParam(paramData) {
+      var val = params[paramData.param];
+      var useDefault = false;
+
+      if (isMissing(val)) {
+        if (isMissing(paramData.defaultValue)) {
+          if (paramData.optional) {
+            return null;
+          }
+
+          throw new Error('Cannot generate path: missing param "' + paramData.param + '" (defined in route "' +
+            paramData.route + '")');
+        }
+
+        val = paramData.defaultValue;
+        useDefault = true;
+      }
+
+      if (paramData.type && typeof val !== 'string') {
+        val = paramData.type === 'date' && val instanceof Date ? val.toISOString().substr(0, 10) : String(val);
+      }
+
+      if (paramData.requirement && !new RegExp(paramData.requirement[0], paramData.requirement[1]).test(val)) {
+        throw new Error('Cannot generate path for route "' + paramData.route + '": Value "' + val + '"' +
+          (useDefault ? '(=default)' : '') + ' does not pass requirement for param "' + paramData.param + '"');
+      }
+
+      return '' + val;
+    }
+
+    var path = route.segments.reduce(function (memo, segment) {
+      var generated = segment.param ? generateParam(segment) : segment.value;
+
+      if (generated === null) {
+        return memo;
+      }
+
+      if (segment.suffix) {
+        var suffix = generateParam(segment.suffix);
+
+        // Optional suffixes are left out if they equal the default value, like `.html`
+        if (suffix !== null && !(segment.suffix.optional && suffix === '' + segment.suffix.defaultValue)) {
+          generated += '.' + suffix;
+        }
+      }
+
+      return memo + '/' + generated;
+    }, '');
+
+    query = query || {};
+
+    var queryString = Object.keys(query).reduce(function (memo, key) {
+      return memo.concat(stringifyQuery(query[key], key));
+    }, []).join('&');
+
+    return '/' + path.replace(/\/+/g, '/').replace(/^\/+|\/+$/g, '') + (queryString ? '?' + queryString : '');
+  }
+
+  return {
+    routes: routes,
+    generatePath: generatePath
+  };
+}
+
+/**
+ * Serialize the data of a path param
+ *
+ * @private
+ * @param {BaseRoute} route Route that defines the param
+ * @param {object} paramData
+ * @returns {object}
+ */
+function serializeParam(route, paramData) {
+  var data = {
+    param: paramData.param,
+    route: route.name,
+    optional: paramData.optional || undefined,
+    defaultValue: paramData.defaultValue,
+    type: paramData.type ? paramData.type.name : undefined,
+    requirement: paramData.regExp ? [paramData.regExp.source, paramData.regExp.ignoreCase ? 'i' : ''] : undefined
+  };
+
+  if (paramData.suffix) {
+    data.suffix = serializeParam(route, paramData.suffix);
+  }
+
+  return data;
+}
+
+/**
+ * Serialize a route. Path segments become objects, static ones have the property `value`, params
+ * the properties of the param. Both may have a `suffix` param, like `/f.:_format?`.
+ *
+ * @param {BaseRoute} route
+ * @returns {object}
+ */
+exports.serializeRoute = function (route) {
+  var chain = route.getParentRoutes().concat([route]);
+
+  return {
+    pattern: route.getFullPattern(),
+    defaults: route.getDefaults(),
+    requirements: route.getRequirements(),
+    segments: _.flatten(chain.map(function (chainRoute) {
+      return chainRoute._parsedPattern.segments.map(function (segment) {
+        if (!segment) {
+          thr('Cannot export route %s, only plain segments and params are supported: %s',
+            chainRoute.name, chainRoute.pattern);
+        }
+
+        if (segment.isParam) {
+          return serializeParam(chainRoute, segment);
+        }
+
+        var data = {
+          value: segment.cleanValue
+        };
+
+        if (segment.suffix) {
+          data.suffix = serializeParam(chainRoute, segment.suffix);
+        }
+
+        return data;
+      });
+    }), true)
+  };
+};
+
+/**
+ * Generate the source code of a module that exports the routes and a `generatePath(name, params,
+ * query)` function
+ *
+ * Options:
+ * - `format`: {string} ["umd"] Either "umd" or "esm"
+ * - `name`: {string} ["routicornRoutes"] Name of the browser global the UMD module defines
+ *
+ * @param {BaseRoute[]} routes
+ * @param {object} [options={}] Options
+ * @returns {string}
+ */
+exports.generate = function (routes, options) {
+  options = options || {};
+
+  var format = options.format || 'umd';
+  if (FORMATS.indexOf(format) === -1) {
+    thr('Unknown module format "%s", expected one of: %s', format, FORMATS.join(', '));
+  }
+
+  var serialized = {};
+  var aliases = {};
+  routes.forEach(function (route) {
+    serialized[route.name] = exports.serializeRoute(route);
+    route.aliases.forEach(function (alias) {
+      aliases[alias] = route.name;
+    });
+  });
+
+  var body = [
+    'var routes = ' + JSON.stringify(serialized, null, 2) + ';',
+    'var aliases = ' + JSON.stringify(aliases, null, 2) + ';',
+    createClientRoutes.toString()
+  ];
+
+  if (format === 'esm') {
+    return ['// Generated by Routicorn'].concat(body, [
+      'var clientRoutes = createClientRoutes(routes, aliases);\n' +
+      'export var generatePath = clientRoutes.generatePath;\n' +
+      'export { routes };\n' +
+      'export default clientRoutes;\n'
+    ]).join('\n\n');
+  }
+
+  body.push('return createClientRoutes(routes, aliases);');
+
+  return [
+    '// Generated by Routicorn',
+    '(function (root, factory) {',
+    '  if (typeof define === \'function\' && define.amd) {',
+    '    define([], factory);',
+    '  } else if (typeof module === \'object\' && module.exports) {',
+    '    module.exports = factory();',
+    '  } else {',
+    '    root[' + JSON.stringify(options.name || DEFAULT_GLOBAL_NAME) + '] = factory();',
+    '  }',
+    '}(this, function () {',
+    '  \'use strict\';',
+    '',
+    body.join('\n\n').replace(/^(?=.)/gm, '  '),
+    '}));',
+    ''
+  ].join('\n');
+};
@@ -0,0 +1,652 @@
+'use strict';
+
+var _ = require('lodash');
+var debug = require('debug')('routicorn:compiled-dispatcher');
+var pathRegexp = require('path-to-regexp');
+var parseUrl = require('url').parse;
+var utils = require('./utils');
+
+/**
+ * Key of the table that holds the action routes of all methods
+ *
+ * @private
+ * @type {string}
+ */
+var ALL_METHODS = '*';
+
+/**
+ * Static path segments that action routes can be looked up by
+ *
+ * @private
+ * @type {RegExp}
+ */
+var STATIC_SEGMENT_REGEX = /^[A-Za-z0-9_~-]+$/;
+
+/**
+ * Split a URL into its path and its query string, including the question mark
+ *
+ * @private
+ * @param {string} url
+ * @returns {object} Object with the properties `path` and `query`
+ */
+function splitUrl(url) {
+  var idx = url.indexOf('?');
+  var path = idx === -1 ? url : url.substr(0, idx);
+
+  // Absolute URLs of proxy requests
+  if (path[0] !== '/') {
+    path = parseUrl(path).pathname || '/';
+  }
+
+  return {
+    path: path,
+    query: idx === -1 ? '' : url.substr(idx)
+  };
+}
+
+/**
+ * Get the first segment of a path, lowercased, if it is static
+ *
+ * @private
+ * @param {string} path Path or pattern
+ * @returns {?string}
+ */
+function getFirstSegment(path) {
+  var end = path.indexOf('/', 1);
+  var segment = end === -1 ? path.substr(1) : path.substring(1, end);
+
+  return STATIC_SEGMENT_REGEX.test(segment) ? segment.toLowerCase() : null;
+}
+
+/**
+ * Decode a param value, a malformed value fails the request with a 400
+ *
+ * @private
+ * @param {string} [val]
+ * @returns {string}
+ */
+function decodeValue(val) {
+  if (!val) {
+    return val;
+  }
+
+  try {
+    return decodeURIComponent(val);
+  } catch (e) {
+    var error = new TypeError('Failed to decode param \'' + val + '\'');
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Determine whether a route has constraints besides its pattern
+ *
+ * @private
+ * @param {BaseRoute} route
+ * @returns {boolean}
+ */
+function isConstrained(route) {
+  var conditions = route._conditions;
+
+  return !!route._parsedPattern.host ||
+    conditions.headers.length > 0 ||
+    conditions.contentTypes.length > 0 ||
+    conditions.accept.length > 0 ||
+    conditions.predicates.length > 0;
+}
+
+/**
+ * Determine whether a route resolves params against its config when it is entered: Params of its
+ * pattern, static params or host params. Routes that don't can skip that step, unless they have
+ * param handlers.
+ *
+ * @private
+ * @param {BaseRoute} route
+ * @returns {boolean}
+ */
+function resolvesParams(route) {
+  var parsedPattern = route._parsedPattern;
+
+  return parsedPattern.params.length > 0 ||
+    !!parsedPattern.host ||
+    !_.isEmpty(parsedPattern.staticParams);
+}
+
+/**
+ * Compile the pattern of a route to a level of a full-path regex. Each level is a capture group,
+ * so that the part of the path it matches becomes the base URL of the route. Like the express
+ * routers, patterns match case-insensitively, up to a slash or the end of the path, with an
+ * optional trailing slash. Unnamed groups, like the ones of wildcards, become numbered params.
+ *
+ * @private
+ * @param {BaseRoute} route
+ * @returns {object}
+ */
+function compileLevel(route) {
+  var keys = [];
+  var source = pathRegexp(route.pattern, keys, {
+    sensitive: false,
+    strict: false,
+    end: false
+  }).source.substr(1);
+  var groupCount = new RegExp(source + '|').exec('').length - 1;
+
+  return {
+    route: route,
+    resolvesParams: resolvesParams(route),
+    source: '(' + source + ')',
+    names: _.times(groupCount, function (idx) {
+      return keys[idx] ? keys[idx].name : null;
+    })
+  };
+}
+
+/**
+ * Compile an action route to an entry of the route table
+ *
+ * @private
+ * @param {number} index Position of the action route in the tree
+ * @param {BaseRoute[]} chain Routes from the router down to the action route
+ * @param {object[]} levels Compiled patterns of the chain, the router's level has none
+ * @returns {object}
+ */
+function compileEntry(index, chain, levels) {
+  var pathLevels = levels.slice(1);
+  var firstLevel = _.find(pathLevels, function (level) {
+    return level.route.pattern !== '/' && level.route.pattern !== '';
+  });
+
+  return {
+    index: index,
+    route: _.last(chain),
+    chain: chain,
+    levels: levels,
+    constrained: chain.slice(1).filter(isConstrained),
+    segment: firstLevel ? getFirstSegment(firstLevel.route.pattern) : null,
+    regExp: new RegExp('^' + _.pluck(pathLevels, 'source').join('') + '\\/?$', 'i')
+  };
+}
+
+/**
+ * Compile the action routes of a tree, in the order they are tried
+ *
+ * @private
+ * @param {object} rootLevel Level of the router
+ * @returns {object[]}
+ */
+function compileEntries(rootLevel) {
+  var entries = [];
+
+  (function walk(route, chain, levels) {
+    _.each(route.subRoutes, function (subRoute) {
+      var subChain = chain.concat([subRoute]);
+      var subLevels = levels.concat([compileLevel(subRoute)]);
+
+      if (subRoute.actionable) {
+        entries.push(compileEntry(entries.length, subChain, subLevels));
+      } else {
+        walk(subRoute, subChain, subLevels);
+      }
+    });
+  }(rootLevel.route, [rootLevel.route], [rootLevel]));
+
+  return entries;
+}
+
+/**
+ * Index table items by the static first segment of their patterns. Items whose first segment is
+ * not static are tried for every path.
+ *
+ * @private
+ * @param {object[]} items
+ * @returns {object}
+ */
+function createTable(items) {
+  var table = {
+    bySegment: Object.create(null),
+    dynamic: []
+  };
+
+  items.forEach(function (item) {
+    var segment = item.entry.segment;
+
+    if (segment === null) {
+      table.dynamic.push(item);
+    } else {
+      (table.bySegment[segment] = table.bySegment[segment] || []).push(item);
+    }
+  });
+
+  return table;
+}
+
+/**
+ * Check the constraints of an entry that are not part of the path
+ *
+ * @private
+ * @param {object} entry
+ * @param {object} req
+ * @returns {boolean}
+ */
+function matchesRequest(entry, req) {
+  for (var i = 0; i < entry.constrained.length; i++) {
+    if (!entry.constrained[i]._matchesRequest(req)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Split the match of a full-path regex into the matched path and the params of each level
+ *
+ * @private
+ * @param {object} entry
+ * @param {string[]} match
+ * @returns {object[]} Objects with the properties `path` and `params`. Throws if a param value
+ *   cannot be decoded.
+ */
+function splitMatch(entry, match) {
+  var result = [];
+  var groupIdx = 1;
+  var numbered = 0;
+
+  for (var i = 1; i < entry.levels.length; i++) {
+    var names = entry.levels[i].names;
+    var params = {};
+
+    for (var j = 0; j < names.length; j++) {
+      var prop = names[j] === null ? numbered++ : names[j];
+      var val = decodeValue(match[groupIdx + 1 + j]);
+
+      if (val !== undefined || !_.has(params, prop)) {
+        params[prop] = val;
+      }
+    }
+
+    result.push({
+      path: match[groupIdx],
+      params: params
+    });
+
+    groupIdx += 1 + names.length;
+  }
+
+  return result;
+}
+
+/**
+ * Get the value of the Allow header for a route that does not handle a request method
+ *
+ * @private
+ * @param {ActionRoute} route
+ * @returns {string}
+ */
+function getAllowHeader(route) {
+  var verbs = _.without(route.verbs, 'all');
+
+  return _.flatten(verbs.map(function (verb) {
+    // GET actions handle HEAD requests as well
+    return verb === 'get' && verbs.indexOf('head') === -1 ? ['get', 'head'] : verb;
+  })).join(',').toUpperCase();
+}
+
+/**
+ * Dispatches requests by looking them up in a flat table of the action routes, instead of walking
+ * the nested express routers. Every action route gets one regex for its full path, the patterns of
+ * all routes on its way joined, and the table is split by HTTP method and indexed by the first
+ * segment of the path. The request takes the same steps through the routes on the way to the
+ * action route as with the nested dispatch: Each of them is entered in turn, handles its params,
+ * invokes its middleware, and rewrites `req.url` and `req.baseUrl`. Routes that the matching action
+ * routes share are entered once, and routes that have no params to resolve and no param handlers
+ * skip that step.
+ *
+ * In contrast to the nested dispatch, segment routes are only entered on the way to an action
+ * route that matches the path and the method. Their middleware does not run for requests that end
+ * up with a 404 or a 405.
+ *
+ * The table is compiled lazily and compiled again after the tree has changed.
+ *
+ * @constructor
+ * @private
+ * @param {Routicorn} router
+ */
+function CompiledDispatcher(router) {
+  // Private properties
+  utils.defineProps(this, false, {
+    /**
+     * @memberof CompiledDispatcher#
+     * @name _router
+     * @type {Routicorn}
+     * @private
+     * @readonly
+     */
+    router: router,
+
+    /**
+     * Holds the level of the router as `root`, the compiled action routes as `entries` and the
+     * tables built from them, by method, as `tables`
+     * @memberof CompiledDispatcher#
+     * @name _compiled
+     * @type {object}
+     * @private
+     * @readonly
+     */
+    compiled: {
+      root: {
+        route: router,
+        resolvesParams: false
+      },
+      entries: null,
+      tables: {}
+    }
+  });
+}
+
+/**
+ * Drop the compiled routes
+ */
+CompiledDispatcher.prototype.invalidate = function () {
+  this._compiled.entries = null;
+  this._compiled.tables = {};
+};
+
+/**
+ * Get the table of the action routes that handle a method. Every item has the properties `entry`
+ * and `actionNames`, the names of the controller methods that handle the method. OPTIONS requests
+ * get all action routes, those without an OPTIONS action answer with an Allow header.
+ *
+ * @private
+ * @param {string} method HTTP method or {@link ALL_METHODS}
+ * @returns {object}
+ */
+CompiledDispatcher.prototype._getTable = function (method) {
+  var compiled = this._compiled;
+
+  if (!compiled.entries) {
+    compiled.root.resolvesParams = resolvesParams(this._router);
+    compiled.entries = compileEntries(compiled.root);
+
+    debug('Compiled %d action routes', compiled.entries.length);
+  }
+
+  if (!compiled.tables[method]) {
+    compiled.tables[method] = createTable(_.compact(compiled.entries.map(function (entry) {
+      var actionNames = method === ALL_METHODS ? [] : entry.route._getActionNames(method);
+
+      if (actionNames.length > 0 || method === ALL_METHODS || method === 'OPTIONS') {
+        return {
+          entry: entry,
+          actionNames: actionNames
+        };
+      }
+    })));
+  }
+
+  return compiled.tables[method];
+};
+
+/**
+ * Get the table items that may match a path, in tree order
+ *
+ * @private
+ * @param {string} method HTTP method or {@link ALL_METHODS}
+ * @param {string} path
+ * @returns {object[]}
+ */
+CompiledDispatcher.prototype._getCandidates = function (method, path) {
+  var table = this._getTable(method);
+  var segment = getFirstSegment(path);
+  var items = (segment !== null && table.bySegment[segment]) || [];
+
+  if (table.dynamic.length === 0) {
+    return items;
+  }
+
+  if (items.length === 0) {
+    return table.dynamic;
+  }
+
+  // Merge both lists by position in the tree
+  var candidates = [];
+  var i = 0;
+  var j = 0;
+
+  while (i < items.length || j < table.dynamic.length) {
+    if (j >= table.dynamic.length ||
+      (i < items.length && items[i].entry.index < table.dynamic[j].entry.index)) {
+      candidates.push(items[i++]);
+    } else {
+      candidates.push(table.dynamic[j++]);
+    }
+  }
+
+  return candidates;
+};
+
+/**
+ * Find the action routes whose patterns match the path of a request, in the order the dispatch
+ * would try them. Only patterns, hosts and conditions are checked, the HTTP method is not. Params
+ * are taken from the path, but not resolved against the route configs.
+ *
+ * The iteratee gets passed an object with the properties `route` (the action route), `chain`
+ * (all routes from the router down to the action route) and `params`. Returning `true` stops
+ * the search.
+ *
+ * @param {object} req Request, or a request-like object with the properties `url`, `headers` and
+ *   `hostname`
+ * @param {function} iteratee
+ */
+CompiledDispatcher.prototype.findRoutes = function (req, iteratee) {
+  var path = splitUrl(req.url).path;
+
+  this._getCandidates(ALL_METHODS, path).some(function (item) {
+    var entry = item.entry;
+    var match = entry.regExp.exec(path);
+
+    if (!match || !matchesRequest(entry, req)) {
+      return false;
+    }
+
+    return iteratee({
+      route: entry.route,
+      chain: entry.chain,
+      params: _.extend.apply(_, [{}].concat(_.pluck(splitMatch(entry, match), 'params')))
+    }) === true;
+  });
+};
+
+/**
+ * Dispatch a request
+ *
+ * @param {object} req Request
+ * @param {object} res Response
+ * @param {function} done Callback
+ */
+CompiledDispatcher.prototype.dispatch = function (req, res, done) {
+  var url = splitUrl(req.url);
+  var candidates = this._getCandidates(req.method, url.path);
+  var candidateIdx = 0;
+  var item = null;
+  var levels = null;
+  var actionIdx = 0;
+
+  // Step the request has taken last: 'entered', 'params', 'middleware' or 'action'
+  var step = null;
+
+  // Routes the request is currently in, with the state of the request before it entered them
+  var entered = [];
+
+  function restore(state) {
+    req.baseUrl = state.parentBaseUrl;
+    req.url = state.parentUrl;
+    req.params = state.parentParams;
+  }
+
+  function leave(depth) {
+    while (entered.length > depth) {
+      var state = entered.pop();
+
+      state.level.route._leave(req);
+      restore(state);
+    }
+  }
+
+  function enter(level, baseUrl, params, path) {
+    var parentParams = req.params;
+    var mergedParams = {};
+    var key;
+
+    entered.push({
+      level: level,
+      baseUrl: baseUrl,
+      parentBaseUrl: req.baseUrl,
+      parentUrl: req.url,
+      parentParams: parentParams
+    });
+
+    level.route._enter(req);
+
+    for (key in parentParams) {
+      mergedParams[key] = parentParams[key];
+    }
+
+    for (key in params) {
+      mergedParams[key] = params[key];
+    }
+
+    req.baseUrl = baseUrl;
+    req.url = (path[0] === '/' ? path : '/' + path) + url.query;
+    req.params = mergedParams;
+
+    step = 'entered';
+  }
+
+  // Find the next candidate that matches the request and leave the routes it does not share with
+  // the previous one. Throws if a param value cannot be decoded.
+  function findCandidate() {
+    while (candidateIdx < candidates.length) {
+      var candidate = candidates[candidateIdx++];
+      var entry = candidate.entry;
+      var match = entry.regExp.exec(url.path);
+
+      if (!match || !matchesRequest(entry, req)) {
+        continue;
+      }
+
+      item = candidate;
+      levels = splitMatch(entry, match);
+
+      var baseUrl = entered[0].baseUrl;
+      var end = 0;
+      var depth = 1;
+
+      for (var i = 0; i < levels.length; i++) {
+        var path = levels[i].path;
+
+        // Like express, base URLs do not end with a slash
+        baseUrl += path[path.length - 1] === '/' ? path.substr(0, path.length - 1) : path;
+        end += path.length;
+
+        levels[i].baseUrl = baseUrl;
+        levels[i].end = end;
+      }
+
+      // Routes shared with the previous candidate are not entered again
+      while (depth < entered.length && entered[depth].level === entry.levels[depth] &&
+        entered[depth].baseUrl === levels[depth - 1].baseUrl) {
+        depth++;
+      }
+
+      leave(depth);
+
+      return true;
+    }
+
+    return false;
+  }
+
+  function respondToOptions() {
+    var allow = getAllowHeader(item.entry.route);
+
+    res.set('Allow', allow);
+    res.send(allow);
+  }
+
+  function next(err) {
+    if (err && err !== 'route') {
+      restore(entered[0]);
+      return done(err);
+    }
+
+    var route = _.last(entered).level.route;
+
+    switch (step) {
+      case 'entered':
+        step = 'params';
+
+        if (_.last(entered).level.resolvesParams || !_.isEmpty(route._paramHandlers)) {
+          return route._handleRequestParams(req, res, next);
+        }
+
+        // Nothing to resolve, the route shares the extra params of its parent
+        var extraParamLayers = req._routicornExtraParams;
+        extraParamLayers.push(extraParamLayers[extraParamLayers.length - 1] || {});
+
+        return next();
+
+      case 'params':
+        step = 'middleware';
+        return route._invokeMiddleware(req, res, next);
+
+      case 'action':
+        if (err !== 'route' && actionIdx < item.actionNames.length) {
+          return item.entry.route._invokeAction(item.actionNames[actionIdx++], req, res, next);
+        }
+    }
+
+    // Go on with the next candidate after the router has been entered or an action route has
+    // passed control on
+    if (item === null || step === 'action') {
+      try {
+        if (!findCandidate()) {
+          leave(0);
+          return done();
+        }
+      } catch (e) {
+        return next(e);
+      }
+    }
+
+    var depth = entered.length;
+
+    if (depth <= levels.length) {
+      var level = levels[depth - 1];
+
+      enter(item.entry.levels[depth], level.baseUrl, level.params, url.path.substr(level.end));
+      return next();
+    }
+
+    if (item.actionNames.length === 0) {
+      // OPTIONS request for an action route without an OPTIONS action
+      try {
+        return respondToOptions();
+      } catch (e) {
+        return next(e);
+      }
+    }
+
+    step = 'action';
+    actionIdx = 0;
+    next();
+  }
+
+  debug('Dispatch %s %s to %d candidates', req.method, url.path, candidates.length);
+
+  enter(this._compiled.root, req.baseUrl || '', {}, url.path);
+  next();
+};
+
+module.exports = CompiledDispatcher;
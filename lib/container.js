@@ -0,0 +1,250 @@
+'use strict';
+
+var _ = require('lodash');
+var debug = require('debug')('routicorn:container');
+var thr = require('format-throw');
+var utils = require('./utils');
+
+/**
+ * Name of the pseudo service that resolves to the current request in request scope
+ * @constant {string} REQUEST_SERVICE
+ */
+var REQUEST_SERVICE = 'req';
+
+var SCOPES = ['singleton', 'request'];
+
+/**
+ * Get the service cache of a request. Sub-requests share the cache of the original request.
+ *
+ * @private
+ * @param {object} req
+ * @returns {object}
+ */
+function getRequestCache(req) {
+  req = req.originalReq || req;
+
+  if (!req._routicornServices) {
+    utils.defineProp(req, false, 'routicornServices', {});
+  }
+
+  return req._routicornServices;
+}
+
+/**
+ * Service container. Services are either plain values or created by factory functions, which get
+ * passed the services named in their `inject` list. Factory services live in one of two scopes:
+ *
+ * - `singleton`: Created once, on first use
+ * - `request`: Created once per request. Request-scoped services may inject `req`, the current
+ * request, but singletons cannot inject request-scoped services.
+ *
+ * ```javascript
+ * var container = new Container();
+ * container.register('config', {db: 'mongodb://localhost/app'});
+ * container.factory('db', function (config) { return connect(config.db); }, {inject: ['config']});
+ * container.factory('user', function (req, db) { return db.findUser(req.session.userId); }, {
+ *   inject: ['req', 'db'],
+ *   scope: 'request'
+ * });
+ * ```
+ *
+ * @constructor
+ * @param {object} [services={}] Plain values to register, by service name
+ */
+function Container(services) {
+  if (!(this instanceof Container)) {
+    return new Container(services);
+  }
+
+  // Private properties
+  utils.defineProps(this, false, {
+    /**
+     * @memberof Container#
+     * @name _services
+     * @type {object.<string, object>}
+     * @private
+     * @readonly
+     */
+    services: {}
+  });
+
+  _.each(services, function (value, name) {
+    this.register(name, value);
+  }, this);
+}
+
+/**
+ * Register a plain value as a service
+ *
+ * @param {string} name Service name
+ * @param {*} value
+ */
+Container.prototype.register = function (name, value) {
+  this._addService(name, {
+    value: value
+  });
+};
+
+/**
+ * Register a factory function that creates a service
+ *
+ * Options:
+ * - `inject`: {string[]} [fn.inject || []] Names of the services to pass to the factory
+ * - `scope`: {string} ["singleton"] Either "singleton" or "request"
+ *
+ * @param {string} name Service name
+ * @param {function} fn Factory function
+ * @param {object} [options={}] Options
+ */
+Container.prototype.factory = function (name, fn, options) {
+  options = options || {};
+
+  if (!_.isFunction(fn)) {
+    thr(TypeError, 'factory must be a function');
+  }
+
+  var scope = options.scope || 'singleton';
+  if (SCOPES.indexOf(scope) === -1) {
+    thr('Unknown scope "%s" of service %s, expected one of: %s', scope, name, SCOPES.join(', '));
+  }
+
+  this._addService(name, {
+    factory: fn,
+    inject: options.inject || fn.inject || [],
+    scope: scope
+  });
+};
+
+/**
+ * Determine if a service has been registered
+ *
+ * @param {string} name Service name
+ * @returns {boolean}
+ */
+Container.prototype.has = function (name) {
+  return _.has(this._services, name);
+};
+
+/**
+ * Get a service
+ *
+ * @param {string} name Service name
+ * @param {object} [req] Current request, mandatory for request-scoped services
+ * @returns {*}
+ */
+Container.prototype.get = function (name, req) {
+  return this._resolve(name, req || null, []);
+};
+
+/**
+ * Create an instance of a constructor, passing the services named in its static `inject` list.
+ * Constructors can also be factory functions that return an object.
+ *
+ * @param {function} Constructor
+ * @param {object} [req] Current request, mandatory if request-scoped services are injected
+ * @returns {object}
+ */
+Container.prototype.instantiate = function (Constructor, req) {
+  var self = this;
+  var deps = (Constructor.inject || []).map(function (dep) {
+    return self._resolve(dep, req || null, [Constructor.name || '[anonymous constructor]']);
+  });
+
+  return new (Function.prototype.bind.apply(Constructor, [null].concat(deps)))();
+};
+
+/**
+ * Get the per-request storage of a request, which holds request-scoped instances
+ *
+ * @param {object} req Request
+ * @returns {object}
+ */
+Container.prototype.getRequestScope = function (req) {
+  return getRequestCache(req);
+};
+
+/**
+ * @private
+ * @param {string} name
+ * @param {object} service
+ */
+Container.prototype._addService = function (name, service) {
+  if (!_.isString(name)) {
+    thr(TypeError, 'name must be a string');
+  }
+
+  if (name === REQUEST_SERVICE) {
+    thr('Cannot register service %s: The name is reserved for the current request', name);
+  }
+
+  if (this.has(name)) {
+    thr('Cannot register service %s: A service with the same name already exists', name);
+  }
+
+  this._services[name] = service;
+
+  debug('Registered service: %s', name);
+};
+
+/**
+ * Resolve a service
+ *
+ * @private
+ * @param {string} name Service name
+ * @param {?object} req Current request, `null` outside of request scope
+ * @param {string[]} resolving Names of the services that are being resolved, for error messages and
+ *   to detect circular dependencies
+ * @returns {*}
+ */
+Container.prototype._resolve = function (name, req, resolving) {
+  var self = this;
+  var service = this._services[name];
+  var chain = resolving.concat([name]).join(' → ');
+
+  if (name === REQUEST_SERVICE) {
+    if (!req) {
+      thr('Cannot inject the request outside of request scope: %s', chain);
+    }
+
+    return req;
+  }
+
+  if (!service) {
+    thr('Service does not exist: %s', chain);
+  }
+
+  if (_.has(service, 'value')) {
+    return service.value;
+  }
+
+  if (resolving.indexOf(name) !== -1) {
+    thr('Circular dependency: %s', chain);
+  }
+
+  function create(scopeReq) {
+    debug('Create service: %s', name);
+
+    return service.factory.apply(null, service.inject.map(function (dep) {
+      return self._resolve(dep, scopeReq, resolving.concat([name]));
+    }));
+  }
+
+  if (service.scope === 'request') {
+    if (!req) {
+      thr('Cannot get request-scoped service outside of request scope: %s', chain);
+    }
+
+    var cache = getRequestCache(req);
+
+    return _.has(cache, name) ? cache[name] : (cache[name] = create(req));
+  }
+
+  // Singletons never see a request, so they cannot depend on request-scoped services
+  if (!_.has(service, 'instance')) {
+    service.instance = create(null);
+  }
+
+  return service.instance;
+};
+
+module.exports = Container;
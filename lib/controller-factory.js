@@ -12,13 +12,29 @@ var utils = require('./utils');
 var DEFAULT_BASE_PATH = 'app/controllers';
 
 /**
- * Controller factory
+ * @constant {string} REQUEST_SCOPE
+ */
+var REQUEST_SCOPE = 'request';
+
+/**
+ * Controller factory. Controller constructors declare the services they depend on with a static
+ * `inject` list, which are resolved by the service container:
+ *
+ * ```javascript
+ * function UserController(users, mailer) { … }
+ * UserController.inject = ['users', 'mailer'];
+ * ```
+ *
+ * Controllers are singletons by default. Setting the static `scope` to "request" creates a new
+ * instance for every request, which may inject request-scoped services and `req`. Only the methods
+ * of the constructor's prototype can be used as actions of request-scoped controllers.
  *
  * @constructor
  * @private
  * @param {string} [basePath="app/controllers"] Controller base path
+ * @param {Container} container Service container
  */
-function ControllerFactory(basePath) {
+function ControllerFactory(basePath, container) {
   // Private properties
   utils.defineProps(this, false, {
     /**
@@ -30,6 +46,15 @@ function ControllerFactory(basePath) {
      */
     basePath: basePath || DEFAULT_BASE_PATH,
 
+    /**
+     * @memberof ControllerFactory#
+     * @name _container
+     * @type {Container}
+     * @private
+     * @readonly
+     */
+    container: container,
+
     /**
      * @memberof ControllerFactory#
      * @name _cache
@@ -82,7 +107,9 @@ ControllerFactory.prototype._createController = function (script) {
 
   // Treat functions as constructors
   if (_.isFunction(Controller)) {
-    obj = new Controller();
+    obj = Controller.scope === REQUEST_SCOPE ?
+      this._createRequestScopedController(script, Controller) :
+      this._container.instantiate(Controller);
   }
 
   if (typeof obj !== 'object') {
@@ -92,4 +119,30 @@ ControllerFactory.prototype._createController = function (script) {
   return obj;
 };
 
+/**
+ * Create a controller that delegates every action to an instance created for the current request
+ *
+ * @private
+ * @param {string} script
+ * @param {function} Controller Constructor
+ * @returns {object}
+ */
+ControllerFactory.prototype._createRequestScopedController = function (script, Controller) {
+  var container = this._container;
+  var key = 'controller:' + script;
+
+  return _.transform(_.functions(Controller.prototype), function (proxy, methodName) {
+    proxy[methodName] = function (req) {
+      var scope = container.getRequestScope(req);
+
+      if (!scope[key]) {
+        debug('Create request-scoped controller instance: %s', script);
+        scope[key] = container.instantiate(Controller, req);
+      }
+
+      return scope[key][methodName].apply(scope[key], arguments);
+    };
+  }, {});
+};
+
 module.exports = ControllerFactory;
@@ -0,0 +1,307 @@
+'use strict';
+
+var _ = require('lodash');
+var debug = require('debug')('routicorn:openapi');
+
+/**
+ * Generates OpenAPI documents from action routes, see {@link Routicorn#toOpenAPI}
+ *
+ * @namespace OpenApi
+ * @private
+ */
+module.exports = exports = {};
+
+/**
+ * @constant {string} OPENAPI_VERSION
+ */
+var OPENAPI_VERSION = '3.0.3';
+
+/**
+ * HTTP verbs OpenAPI has operations for. Routes that handle all methods get all of them.
+ *
+ * @private
+ * @type {string[]}
+ */
+var OPERATION_VERBS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Schemas of the built-in param types, other types are strings
+ *
+ * @private
+ * @type {object.<string, object>}
+ */
+var TYPE_SCHEMAS = {
+  'int': {type: 'integer'},
+  'float': {type: 'number'},
+  bool: {type: 'boolean'},
+  date: {type: 'string', format: 'date'},
+  uuid: {type: 'string', format: 'uuid'}
+};
+
+/**
+ * Create the schema of a path param
+ *
+ * @private
+ * @param {object} paramData
+ * @param {object} requirements Requirements of the route
+ * @returns {object}
+ */
+function createParamSchema(paramData, requirements) {
+  var type = paramData.type;
+  var schema = _.clone(type && TYPE_SCHEMAS[type.name]) || {type: 'string'};
+
+  if (type && type.values) {
+    schema.enum = type.values;
+  } else if (paramData.regExp && (requirements[paramData.param] || schema.type === 'string')) {
+    schema.pattern = paramData.regExp.source;
+  }
+
+  if (paramData.defaultValue !== undefined) {
+    schema.default = paramData.defaultValue;
+  }
+
+  return schema;
+}
+
+/**
+ * Create the paths and the path params of a route. Params become `{param}` templates. OpenAPI has
+ * no optional path params, so a route gets one path for every combination of its optional params
+ * being present or left out, the path with all params first.
+ *
+ * @private
+ * @param {BaseRoute} route
+ * @returns {object[]} Objects with the properties `path`, `parameters` and `omitted` (names of the
+ *   optional params left out of the path)
+ */
+function createPaths(route) {
+  var requirements = route.getRequirements();
+  var chain = route.getParentRoutes().concat([route]);
+  var optionalParams = [];
+
+  chain.forEach(function (chainRoute) {
+    _.compact(chainRoute._parsedPattern.segments).forEach(function (segment) {
+      _.compact([segment, segment.suffix]).forEach(function (paramData) {
+        if (paramData.isParam && paramData.optional) {
+          optionalParams.push(paramData.param);
+        }
+      });
+    });
+  });
+
+  function createPath(omitted) {
+    var parameters = [];
+
+    function addParam(paramData) {
+      parameters.push({
+        name: paramData.param,
+        'in': 'path',
+        required: true,
+        schema: createParamSchema(paramData, requirements)
+      });
+
+      return '{' + paramData.param + '}';
+    }
+
+    var path = chain.map(function (chainRoute) {
+      return _.compact(chainRoute._parsedPattern.segments).map(function (segment) {
+        if (segment.isParam && omitted.indexOf(segment.param) !== -1) {
+          return '';
+        }
+
+        var value = segment.isParam ? addParam(segment) : segment.cleanValue;
+
+        if (segment.suffix && omitted.indexOf(segment.suffix.param) === -1) {
+          value += '.' + addParam(segment.suffix);
+        }
+
+        return value;
+      }).join('/');
+    }).join('/');
+
+    return {
+      path: '/' + _.trim(path.replace(/\/+/g, '/'), '/'),
+      parameters: parameters,
+      omitted: omitted
+    };
+  }
+
+  // Every bit of the combination stands for an optional param that is left out
+  return _.range(Math.pow(2, optionalParams.length)).map(function (combination) {
+    return createPath(optionalParams.filter(function (param, idx) {
+      return (combination & Math.pow(2, idx)) !== 0;
+    }));
+  });
+}
+
+/**
+ * Create the servers of a route with a host pattern. Host params become server variables, which
+ * cannot have a pattern, so requirements are described instead. A variable without a default value
+ * defaults to the first of its allowed values or else to the param name.
+ *
+ * @private
+ * @param {BaseRoute} route
+ * @returns {?object[]} Server objects or `null` if the route has no host pattern
+ */
+function createServers(route) {
+  var hostRoute = _.findLast(route.getParentRoutes().concat([route]), function (chainRoute) {
+    return !!chainRoute._parsedPattern.host;
+  });
+
+  if (!hostRoute) {
+    return null;
+  }
+
+  var host = hostRoute._parsedPattern.host;
+  var requirements = route.getRequirements();
+  var variables = {};
+
+  host.labels.forEach(function (label) {
+    if (!label.isParam) {
+      return;
+    }
+
+    var schema = createParamSchema(label, requirements);
+    var variable = {
+      'default': String(schema.default !== undefined ? schema.default : (schema.enum || [label.param])[0])
+    };
+
+    if (schema.enum) {
+      variable.enum = schema.enum.map(String);
+    }
+
+    variable.description = 'Host param' + (schema.pattern ? ', must match /' + schema.pattern + '/' : '');
+    variables[label.param] = variable;
+  });
+
+  var hostname = host.labels.map(function (label) {
+    return label.isParam ? '{' + label.param + '}' : label.value;
+  }).join('.');
+
+  var schemes = route.getSchemes();
+
+  return (schemes.length > 0 ? schemes : ['https', 'http']).map(function (scheme) {
+    return {
+      url: scheme + '://' + hostname,
+      variables: _.cloneDeep(variables)
+    };
+  });
+}
+
+/**
+ * Create the responses of an operation. Responses of route configs may be descriptions or
+ * OpenAPI response objects.
+ *
+ * @private
+ * @param {ActionRoute} route
+ * @returns {object}
+ */
+function createResponses(route) {
+  if (!route.responses) {
+    return {
+      'default': {
+        description: 'Default response'
+      }
+    };
+  }
+
+  return _.mapValues(route.responses, function (response) {
+    return _.isString(response) ? {description: response} : _.cloneDeep(response);
+  });
+}
+
+/**
+ * Generate an OpenAPI 3 document
+ *
+ * Options:
+ * - `info`: {object} [{title: "API", version: "1.0.0"}] Info object of the document
+ * - `servers`: {object[]} [undefined] Server objects of the document
+ *
+ * @param {ActionRoute[]} routes
+ * @param {object} [options={}] Options
+ * @returns {object}
+ */
+exports.generate = function (routes, options) {
+  options = options || {};
+
+  var paths = {};
+  var tags = [];
+
+  routes.forEach(function (route) {
+    var routeTags = route.getTags();
+    var verbs = _.intersection(route.handlesAllMethods ? OPERATION_VERBS : route.verbs, OPERATION_VERBS);
+    var servers = createServers(route);
+
+    tags = _.union(tags, routeTags);
+
+    createPaths(route).forEach(function (created) {
+      var pathItem = paths[created.path] = paths[created.path] || {};
+
+      // The paths without optional params are told apart by the params they leave out
+      var operationName = route.name;
+      if (created.omitted.length > 0) {
+        operationName += '_without_' + created.omitted.join('_');
+      }
+
+      verbs.forEach(function (verb) {
+        // Like the dispatcher, the first route wins
+        if (pathItem[verb]) {
+          debug('Route %s is shadowed by route %s: %s %s', route.name, pathItem[verb].operationId, verb, created.path);
+          return;
+        }
+
+        // Operation ids must be unique, the verb tells the operations of multi-verb routes apart
+        var operation = pathItem[verb] = {
+          operationId: verbs.length > 1 ? operationName + '_' + verb : operationName
+        };
+
+        if (route.summary) {
+          operation.summary = route.summary;
+        }
+
+        if (route.description) {
+          operation.description = route.description;
+        }
+
+        if (routeTags.length > 0) {
+          operation.tags = routeTags;
+        }
+
+        if (created.parameters.length > 0) {
+          operation.parameters = _.cloneDeep(created.parameters);
+        }
+
+        if (servers) {
+          operation.servers = _.cloneDeep(servers);
+        }
+
+        operation.responses = createResponses(route);
+
+        if (route.deprecated) {
+          operation.deprecated = true;
+        }
+      });
+    });
+  });
+
+  var document = {
+    openapi: OPENAPI_VERSION,
+    info: _.extend({
+      title: 'API',
+      version: '1.0.0'
+    }, options.info)
+  };
+
+  if (options.servers) {
+    document.servers = options.servers;
+  }
+
+  document.paths = paths;
+
+  if (tags.length > 0) {
+    document.tags = tags.sort().map(function (tag) {
+      return {name: tag};
+    });
+  }
+
+  return document;
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+var _ = require('lodash');
+var thr = require('format-throw');
+
+/**
+ * Param types validate param values and convert them to other types and back. A type definition
+ * has the following properties, all of them are optional:
+ *
+ * - `pattern`: {string|RegExp} Values must match this pattern, it is anchored automatically
+ * - `parse`: {function} Converts a valid string value, returning `undefined` marks the value as
+ * invalid
+ * - `format`: {function} Converts a value back to a string, used for path generation
+ *
+ * @namespace ParamTypes
+ * @private
+ */
+module.exports = exports = {};
+
+var ENUM_REGEX = /^enum\((.*)\)$/;
+
+/**
+ * Compile a pattern into an anchored regular expression
+ *
+ * @private
+ * @param {string|RegExp} pattern
+ * @returns {RegExp}
+ */
+function anchor(pattern) {
+  var regExpStr = pattern instanceof RegExp ? pattern.source : pattern;
+
+  return new RegExp('^(?:' + regExpStr + ')$', pattern instanceof RegExp && pattern.ignoreCase ? 'i' : '');
+}
+
+/**
+ * Create a param type from a type definition
+ *
+ * @param {string} name Type name
+ * @param {object} definition Type definition
+ * @returns {object} Param type with the properties `name`, `regExp`, `parse` and `format`
+ */
+exports.create = function (name, definition) {
+  if (!_.isString(name)) {
+    thr(TypeError, 'name must be a string');
+  }
+
+  if (!_.isPlainObject(definition)) {
+    thr(TypeError, 'Definition of param type %s must be an object', name);
+  }
+
+  if (definition.pattern && !_.isString(definition.pattern) && !(definition.pattern instanceof RegExp)) {
+    thr(TypeError, 'Pattern of param type %s must be a string or a RegExp', name);
+  }
+
+  ['parse', 'format'].forEach(function (fnName) {
+    if (definition[fnName] && !_.isFunction(definition[fnName])) {
+      thr(TypeError, '%s of param type %s must be a function', fnName, name);
+    }
+  });
+
+  return {
+    name: name,
+    regExp: definition.pattern ? anchor(definition.pattern) : null,
+    parse: definition.parse || _.identity,
+    format: definition.format || String
+  };
+};
+
+/**
+ * Create an enum type, like `enum(open|closed)`
+ *
+ * @private
+ * @param {string} name Type name
+ * @param {string[]} values Allowed values
+ * @returns {object} Param type with the allowed values as `values`
+ */
+function createEnum(name, values) {
+  var type = exports.create(name, {
+    pattern: values.map(_.escapeRegExp).join('|')
+  });
+
+  type.values = values;
+
+  return type;
+}
+
+/**
+ * Built-in param types
+ *
+ * @private
+ * @type {object.<string, object>}
+ */
+var BUILT_IN = _.mapValues({
+  'int': {
+    pattern: '-?\\d+',
+    parse: function (val) {
+      return parseInt(val, 10);
+    }
+  },
+  'float': {
+    pattern: '-?\\d+(?:\\.\\d+)?',
+    parse: parseFloat
+  },
+  uuid: {
+    pattern: /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i,
+    parse: function (val) {
+      return val.toLowerCase();
+    }
+  },
+  slug: {
+    pattern: '[a-z0-9]+(?:-[a-z0-9]+)*'
+  },
+  date: {
+    pattern: '\\d{4}-\\d{2}-\\d{2}',
+    parse: function (val) {
+      var date = new Date(val + 'T00:00:00.000Z');
+
+      // Reject dates that JavaScript silently rolls over, like 2015-02-30
+      return !isNaN(date.getTime()) && date.toISOString().substr(0, 10) === val ? date : undefined;
+    },
+    format: function (val) {
+      return val instanceof Date ? val.toISOString().substr(0, 10) : String(val);
+    }
+  },
+  bool: {
+    pattern: 'true|false|1|0',
+    parse: function (val) {
+      return val === 'true' || val === '1';
+    }
+  }
+}, function (definition, name) {
+  return exports.create(name, definition);
+});
+
+/**
+ * Get a built-in param type. Besides the named types, `enum(a|b|…)` creates a type that accepts
+ * the listed values.
+ *
+ * @param {string} name Type name
+ * @returns {object}
+ */
+exports.get = function (name) {
+  var enumMatch = ENUM_REGEX.exec(name);
+
+  if (enumMatch) {
+    return createEnum(name, _.compact(enumMatch[1].split('|')));
+  }
+
+  if (!BUILT_IN[name]) {
+    thr('Unknown param type "%s"', name);
+  }
+
+  return BUILT_IN[name];
+};
+
+/**
+ * Wrap a string into an anchored regular expression
+ *
+ * @function
+ * @param {string|RegExp} pattern
+ * @returns {RegExp}
+ */
+exports.anchor = anchor;
@@ -6,6 +6,24 @@ var thr = require('format-throw');
 var ActionRoute = require('./route/action');
 var utils = require('./utils');
 
+/**
+ * Merge params for path generation with the params and the locale of a request
+ *
+ * @private
+ * @param {object} request
+ * @param {object} [params]
+ * @returns {object}
+ */
+function getGenerationParams(request, params) {
+  params = _.extend({}, request.params || {}, params || {});
+
+  if (!params._locale && request.locale) {
+    params._locale = request.locale;
+  }
+
+  return params;
+}
+
 /**
  * @namespace Request
  */
@@ -19,7 +37,33 @@ var req = module.exports = {};
  */
 
 /**
- * Generate a path to a named route
+ * Locale of this request, taken from the `_locale` param. Set by localized routes and by routes
+ * with a `:_locale` param.
+ * @memberof Request
+ * @name locale
+ * @type {string}
+ */
+
+/**
+ * Entities loaded by param converters, by param name or by the `property` of the converter config.
+ * See {@link Routicorn#registerConverter}
+ * @memberof Request
+ * @name entities
+ * @type {object}
+ */
+
+/**
+ * Response format of this request, like `json`. Taken from the `_format` param or negotiated from
+ * the Accept header if the route has formats. Undefined if neither applies.
+ * @memberof Request
+ * @name format
+ * @type {string}
+ */
+
+/**
+ * Generate a path to a named route. If the route does not accept the scheme of the current request,
+ * an absolute URL is generated instead, see {@link Request.generateUrl}. Localized routes resolve to
+ * the variant for the current locale, unless there is a `_locale` param.
  *
  * Usage: `req.generatePath(routeName, [params, [query, [options]]]);`
  *
@@ -38,9 +82,14 @@ var req = module.exports = {};
  * @returns {string}
  */
 req.generatePath = function (routeName, params, query, options) {
-  params = _.extend({}, this.params || {}, params || {});
+  params = getGenerationParams(this, params);
+
+  var route = this.routicorn.resolveRoute(routeName, params._locale, this.routicornRoute);
+  if (!(options && options.separated) && !route.acceptsScheme(utils.getProtocol(this))) {
+    return this.generateUrl(routeName, params, query);
+  }
 
-  return this.routicorn.generatePath(routeName, params, query, options);
+  return route.generatePath(params, query, options);
 };
 
 /**
@@ -48,6 +97,8 @@ req.generatePath = function (routeName, params, query, options) {
  *
  * Protocol, host and port default to values gathered from the current request. If the app sits
  * behind a proxy, you should use `app.enable('trust proxy');` in order to get reasonable values.
+ * Routes with a host pattern get their hostname from the params, which default to the params of
+ * the current request.
  *
  * Usage: `req.generateUrl(routeName, [params, [query, [options]]]);`
  *
@@ -55,9 +106,9 @@ req.generatePath = function (routeName, params, query, options) {
  *
  * ```javascript
  * req.generateUrl('my-route');
- * req.generateUrl('my-route', {host: 'example.com'});
- * req.generateUrl('my-route', {my_param: 'foo'}, {host: 'example.com'});
- * req.generateUrl('my-route', {my_param: 'foo'}, {query_param: 'bar'}, {host: 'example.com'});
+ * req.generateUrl('my-route', {my_param: 'foo'});
+ * req.generateUrl('my-route', {my_param: 'foo'}, {query_param: 'bar'});
+ * req.generateUrl('my-route', {my_param: 'foo'}, {}, {hostname: 'example.com'});
  * ```
  *
  * @param {string} routeName Route name
@@ -67,16 +118,18 @@ req.generatePath = function (routeName, params, query, options) {
  * @returns {string}
  */
 req.generateUrl = function (routeName, params, query, options) {
+  params = getGenerationParams(this, params);
   options = options || {};
   options.secure = _.isBoolean(options.secure) ? options.secure : this.secure;
-  options.host = _.isString(options.host) ? options.host : this.hostname;
+  options.hostname = _.isString(options.hostname) ? options.hostname : utils.getHostname(this);
   options.port = options.port === null ? null : (
     _.isNumber(options.port)
       ? parseInt(options.port + '', 10)
-      : (this.header['x-forwarded-for'] !== undefined ? null : this.connection.address().port)
+      : (this.headers['x-forwarded-for'] !== undefined ? null : this.connection.address().port)
   );
 
-  return this.routicorn.generateUrl(routeName, params, query, options);
+  return this.routicorn.resolveRoute(routeName, params._locale, this.routicornRoute)
+    .generateUrl(params, query, options);
 };
 
 /**
@@ -162,7 +215,7 @@ req.forward = function (route, verb, properties, next) {
   var currentReq = this;
   var router = this.routicorn;
   var currentRoute = currentReq.routicornRoute;
-  var targetRoute = _.isString(route) ? router.getRoute(route) : route;
+  var targetRoute = _.isString(route) ? router.resolveRoute(route, currentReq.locale, currentRoute) : route;
   var dispatchRoute = targetRoute;
 
   // Validate target route
@@ -218,10 +271,13 @@ req.forward = function (route, verb, properties, next) {
     }
   }
 
-  // Generate path
-  props.url = targetRoute.generatePath(props.params, props.query, {
-    fromRoute: invokeActionDirectly ? dispatchRoute.parentRoute : dispatchRoute
+  // Generate path. An action route that is invoked directly handles the path `/` of its own router.
+  var generated = targetRoute.generatePath(props.params, props.query, {
+    fromRoute: invokeActionDirectly ? dispatchRoute.parentRoute : dispatchRoute,
+    separated: true,
+    warnDeprecated: false
   });
+  props.url = invokeActionDirectly ? '/' + generated.query : generated.result;
 
   // Create sub-request
   debug('[forward] Generate sub-request: %s %s', props.method.toUpperCase(), props.url);
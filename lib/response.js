@@ -42,16 +42,16 @@ exports.redirect = function (status, routeName, params, query, options) {
 
   var location = routeName;
   if (location.indexOf('/') === -1) {
-    var route = this.routicorn.getRoute(routeName);
-    if (route) {
-      if (!params) {
-        params = this.req.params || {};
-      }
+    if (!params) {
+      params = this.req.params || {};
+    }
 
+    var route = this.routicorn.resolveRoute(routeName, params._locale || this.req.locale, this.req.routicornRoute);
+    if (route) {
       if (options.absolute) {
-        location = this.routicorn.generateUrl(routeName, params, query, options);
+        location = route.generateUrl(params, query, options);
       } else {
-        location = this.routicorn.generatePath(routeName, params, query, options);
+        location = route.generatePath(params, query, options);
       }
 
       debug('Redirect to route %s: %s', routeName, location);
@@ -5,9 +5,12 @@ var debug = require('debug')('routicorn:route:action');
 var thr = require('format-throw');
 var inherits = require('util').inherits;
 var httpVerbs = require('methods');
+var accepts = require('accepts');
 var BaseRoute = require('./base');
 var utils = require('../utils');
 
+var FORMAT_PARAM = '_format';
+
 /**
  * @inheritdoc
  * @constructor
@@ -94,6 +97,19 @@ function ActionRoute(routeName, pattern, parentRoute, options) {
     });
   });
 
+  // Private properties
+  utils.defineProps(this, false, {
+    /**
+     * Verb -> controller method name map
+     * @memberof ActionRoute#
+     * @name _actions
+     * @type {object.<string, string>}
+     * @readonly
+     * @private
+     */
+    actions: actions
+  });
+
   // Public properties
   utils.defineProps(this, true, {
     /**
@@ -129,6 +145,39 @@ function ActionRoute(routeName, pattern, parentRoute, options) {
      */
     controllerName: options.controllerName,
 
+    /**
+     * Template to render with the data an action resolves with, see {@link ActionRoute#_invokeAction}
+     * @memberof ActionRoute#
+     * @type {?string}
+     * @readonly
+     */
+    template: options.template || null,
+
+    /**
+     * Short summary of what this route does, for API docs, see {@link Routicorn#toOpenAPI}
+     * @memberof ActionRoute#
+     * @type {?string}
+     * @readonly
+     */
+    summary: options.summary || null,
+
+    /**
+     * Description of this route, for API docs
+     * @memberof ActionRoute#
+     * @type {?string}
+     * @readonly
+     */
+    description: options.description || null,
+
+    /**
+     * Responses of this route by status code, for API docs. Values are descriptions or OpenAPI
+     * response objects.
+     * @memberof ActionRoute#
+     * @type {?object}
+     * @readonly
+     */
+    responses: options.responses || null,
+
     /**
      * Whether this route is connected to a verb-style router
      * @memberof ActionRoute#
@@ -161,7 +210,102 @@ ActionRoute.prototype.handlesMethod = function (verb) {
 };
 
 /**
- * Action handler
+ * Get the names of the controller methods that handle a given HTTP method, in the order they
+ * should be tried. Just like express, GET actions also handle HEAD requests, unless the route has
+ * a HEAD action.
+ *
+ * @protected
+ * @param {string} verb HTTP method
+ * @returns {string[]}
+ */
+ActionRoute.prototype._getActionNames = function (verb) {
+  var self = this;
+
+  verb = verb.toLowerCase();
+
+  if (verb === 'head' && !this._actions.head) {
+    verb = 'get';
+  }
+
+  return _.compact(this.verbs.map(function (actionVerb) {
+    if (actionVerb === verb || actionVerb === 'all') {
+      return self._actions[actionVerb];
+    }
+  }));
+};
+
+/**
+ * Determine the response format of a request. A `_format` param, set via a pattern suffix like
+ * `.:_format?` or via `defaults`, takes precedence over the Accept header, which is only consulted
+ * if the route has formats (see {@link BaseRoute#getFormats}).
+ *
+ * @protected
+ * @param {object} req Request
+ * @param {object} params Resolved params
+ * @returns {?string|boolean} Format, `null` if there is none or `false` if the route does not
+ *   support the requested format
+ */
+ActionRoute.prototype._negotiateFormat = function (req, params) {
+  var formats = this.getFormats();
+  var format = params[FORMAT_PARAM];
+
+  if (format) {
+    format = ('' + format).toLowerCase();
+
+    return formats.length === 0 || formats.indexOf(format) !== -1 ? format : false;
+  }
+
+  if (formats.length === 0) {
+    return null;
+  }
+
+  return accepts(req).type(formats) || false;
+};
+
+/**
+ * Add route-aware helpers to the view locals of a response:
+ *
+ * - `path(routeName, [params, [query]])`: See {@link Request.generatePath}
+ * - `url(routeName, [params, [query]])`: See {@link Request.generateUrl}
+ *
+ * Locals of the same names that the app has set are left alone. Helpers added for a previous
+ * request, like the one a sub-request has been forwarded from, are replaced.
+ *
+ * @private
+ * @param {object} req Request
+ * @param {object} res Response
+ */
+function addViewHelpers(req, res) {
+  if (!res.locals) {
+    return;
+  }
+
+  var helpers = {
+    path: function (routeName, params, query) {
+      return req.generatePath(routeName, params, query);
+    },
+    url: function (routeName, params, query) {
+      return req.generateUrl(routeName, params, query);
+    }
+  };
+
+  _.each(helpers, function (helper, name) {
+    var current = res.locals[name];
+
+    if (current === undefined || (current && current.isRouticornHelper)) {
+      helper.isRouticornHelper = true;
+      res.locals[name] = helper;
+    }
+  });
+}
+
+/**
+ * Action handler. Actions may return a promise: Rejections are passed on to `next`, a resolved
+ * value other than `undefined` is sent as the response unless the action has already responded or
+ * passed control on. Numbers and booleans are sent as text.
+ *
+ * Routes with a template render it instead when the action resolves with a plain object, which
+ * becomes the template data, or when it calls `next()` without arguments before responding.
  *
  * @private
  *
@@ -171,17 +315,129 @@ ActionRoute.prototype.handlesMethod = function (verb) {
  * @param {function} next Callback
  */
 ActionRoute.prototype._invokeAction = function (methodName, req, res, next) {
-  debug('Call %s: %s %s', this.name, req.method, req.originalUrl || req.url);
+  var self = this;
 
   // Mixin extra params
   var extraParams = req._routicornExtraParams;
   _.extend(req.params, extraParams[extraParams.length - 1] || {});
 
+  // Sub-requests are dispatched internally, their scheme is the one of the original request
+  if (!req.subRequest && !this.acceptsScheme(utils.getProtocol(req))) {
+    return this._redirectToScheme(req, res, next);
+  }
+
+  var format = this._negotiateFormat(req, req.params);
+  if (format === false) {
+    var error = thr.make(
+      'Not acceptable: Route %s supports the formats %s', this.name, this.getFormats().join(', ')
+    );
+    error.status = 406;
+    return next(error);
+  }
+
+  if (format) {
+    // The format depends on the Accept header unless the request specified one
+    if (!req.params[FORMAT_PARAM] && res.vary) {
+      res.vary('Accept');
+    }
+
+    req.format = req.params[FORMAT_PARAM] = format;
+  }
+
+  addViewHelpers(req, res);
+
+  debug('Call %s: %s %s', this.name, req.method, req.originalUrl || req.url);
+
+  var passedOn = false;
+  var result;
+
   try {
-    this.controller[methodName](req, res, next);
+    result = this.controller[methodName](req, res, function () {
+      passedOn = true;
+
+      if (self.template && arguments.length === 0 && !res.headersSent) {
+        return self._render(res, {}, next);
+      }
+
+      next.apply(null, arguments);
+    });
+  } catch (e) {
+    return next(e);
+  }
+
+  // Async actions may resolve with the response body instead of sending it themselves
+  if (utils.isPromise(result)) {
+    result.then(function (body) {
+      if (body === undefined || body === res || passedOn || res.headersSent) {
+        return;
+      }
+
+      if (self.template && _.isPlainObject(body)) {
+        self._render(res, body, next);
+      } else {
+        debug('Send resolved value of %s', methodName);
+
+        // express takes a number as the status code
+        res.send(_.isNumber(body) || _.isBoolean(body) ? String(body) : body);
+      }
+    }).then(null, function (err) {
+      next(err || thr.make('Action %s of route %s rejected without a reason', methodName, self.name));
+    });
+  }
+};
+
+/**
+ * Render the template of this route and send the result
+ *
+ * @private
+ *
+ * @param {object} res Response
+ * @param {object} data Template data, merged with `res.locals`
+ * @param {function} next Callback
+ */
+ActionRoute.prototype._render = function (res, data, next) {
+  debug('Render template %s of route %s', this.template, this.name);
+
+  try {
+    res.render(this.template, data, function (err, html) {
+      if (err) {
+        return next(err);
+      }
+
+      res.send(html);
+    });
   } catch (e) {
     next(e);
   }
 };
 
+/**
+ * Redirect a request that arrived over a scheme this route does not accept. GET and HEAD requests
+ * are redirected with status 301, all others with status 308 to keep the method and the body.
+ *
+ * @private
+ *
+ * @param {object} req Request
+ * @param {object} res Response
+ * @param {function} next Callback
+ */
+ActionRoute.prototype._redirectToScheme = function (req, res, next) {
+  var url;
+
+  try {
+    // The request has already been warned about if this route is deprecated
+    url = this.generateUrl(req.params, req.query, {
+      secure: this.getSchemes()[0] === 'https',
+      hostname: utils.getHostname(req),
+      warnDeprecated: false
+    });
+  } catch (e) {
+    return next(e);
+  }
+
+  debug('Redirect %s %s to %s', req.method, req.originalUrl || req.url, url);
+
+  res.redirect(/^(get|head)$/i.test(req.method) ? 301 : 308, url);
+};
+
 module.exports = ActionRoute;
@@ -6,9 +6,153 @@ var thr = require('format-throw');
 var inherits = require('util').inherits;
 var EventEmitter = require('events').EventEmitter;
 var qs = require('qs');
+var typeis = require('type-is');
+var accepts = require('accepts');
+var paramTypes = require('../param-types');
 var utils = require('../utils');
 
 var NAME_REGEX = /^[\w@-]+$/;
+var SCHEMES = ['http', 'https'];
+var SUFFIX_REGEX = /^(.+?)\.:(\w+)(\?)?$/;
+var LOCALE_PARAM = '_locale';
+var DEFAULT_DEPRECATION_MESSAGE = 'This route is deprecated';
+
+function compileRequirement(regExpStr) {
+  if (!regExpStr) {
+    return null;
+  }
+
+  if (regExpStr.charAt(0) === '/') {
+    regExpStr = regExpStr.substring(1, regExpStr.length - 1);
+  }
+
+  // Requirements always apply to the whole value
+  return paramTypes.anchor(regExpStr);
+}
+
+/**
+ * Determine if a param value is missing. Coerced values like `0` or `false` are not.
+ *
+ * @private
+ * @param {*} val
+ * @returns {boolean}
+ */
+function isMissing(val) {
+  return val === undefined || val === null || val === '';
+}
+
+function parseHostPattern(host, requirements, defaults, types) {
+  if (!_.isString(host)) {
+    thr(TypeError, 'host must be a string');
+  }
+
+  var params = [];
+  var paramData = {};
+  var labels = host.split('.').map(function (label) {
+    if (label.charAt(0) !== ':') {
+      return {
+        isParam: false,
+        value: label.toLowerCase()
+      };
+    }
+
+    var param = label.substr(1);
+    params.push(param);
+
+    return paramData[param] = {
+      isParam: true,
+      isHostParam: true,
+      value: label,
+      param: param,
+      optional: false,
+      type: types[param] || null,
+      regExp: compileRequirement(requirements[param]) || (types[param] ? types[param].regExp : null),
+      defaultValue: defaults[param]
+    };
+  });
+
+  var regExpStr = labels.map(function (label) {
+    return label.isParam ? '([^\\.]+?)' : _.escapeRegExp(label.value);
+  }).join('\\.');
+
+  return {
+    pattern: host,
+    labels: labels,
+    params: params,
+    paramData: paramData,
+    regExp: new RegExp('^' + regExpStr + '$', 'i')
+  };
+}
+
+/**
+ * Normalize the `schemes` option of a route
+ *
+ * @private
+ * @param {string|string[]} [schemes]
+ * @returns {string[]}
+ */
+function parseSchemes(schemes) {
+  return _(_.flatten([schemes], true))
+    .compact()
+    .map(function (scheme) {
+      if (!_.isString(scheme) || SCHEMES.indexOf(scheme.toLowerCase()) === -1) {
+        thr('Unsupported scheme "%s", expected one of: %s', scheme, SCHEMES.join(', '));
+      }
+
+      return scheme.toLowerCase();
+    })
+    .unique()
+    .value();
+}
+
+/**
+ * Normalize the `conditions` option of a route
+ *
+ * @private
+ * @param {object} [conditions]
+ * @returns {object}
+ */
+function parseConditions(conditions) {
+  conditions = conditions || {};
+
+  function toList(value) {
+    return _.compact(_.flatten([value], true));
+  }
+
+  return {
+    headers: _.map(conditions.headers || {}, function (expected, name) {
+      return {
+        name: name.toLowerCase(),
+        expected: expected,
+        regExp: _.isString(expected) && expected.charAt(0) === '/' ? compileRequirement(expected) : null
+      };
+    }),
+    contentTypes: toList(conditions.content_type),
+    accept: toList(conditions.accept),
+    predicates: toList(conditions.predicates)
+  };
+}
+
+/**
+ * Match a header value against a header condition. Booleans test if the header is present,
+ * strings enclosed in slashes are regular expressions, other values must match exactly.
+ *
+ * @private
+ * @param {object} condition
+ * @param {string} [value]
+ * @returns {boolean}
+ */
+function matchHeader(condition, value) {
+  if (_.isBoolean(condition.expected)) {
+    return condition.expected === (value !== undefined);
+  }
+
+  if (value === undefined) {
+    return false;
+  }
+
+  return condition.regExp ? condition.regExp.test(value) : value === '' + condition.expected;
+}
 
 function parsePattern(pattern, options) {
   if (!_.isString(pattern)) {
@@ -22,51 +166,83 @@ function parsePattern(pattern, options) {
   var optionalParams = [];
   var mandatoryParams = [];
   var requirements = options.requirements || {};
-  var defaults = options.defaults || {};
+  var ownDefaults = options.defaults || {};
+  var defaults = _.extend({}, options.inheritedDefaults, ownDefaults);
+  var types = options.types || {};
+
+  function addParam(param, value, optional) {
+    params.push(param);
+    (optional ? optionalParams : mandatoryParams).push(param);
+
+    return paramData[param] = {
+      isParam: true,
+      value: value,
+      param: param,
+      optional: optional,
+      type: types[param] || null,
+      regExp: compileRequirement(requirements[param]) || (types[param] ? types[param].regExp : null),
+      defaultValue: defaults[param]
+    };
+  }
+
   var segments = _.trim((pattern || '').replace(/\/+/g, '/'), '/')
     .split('/')
     .map(function (segment) {
+      // Segments may end with a param separated by a dot, like `:id.:_format?`
+      var suffixMatch = SUFFIX_REGEX.exec(segment);
+      var suffixValue = suffixMatch ? segment.substr(suffixMatch[1].length) : null;
+      var parsedSegment;
+
+      if (suffixMatch) {
+        segment = suffixMatch[1];
+      }
+
       if (segment.charAt(0) !== ':') {
         // Not a param
-        return {
+        parsedSegment = {
           isParam: false,
           value: segment,
           cleanValue: segment.replace(/[\?\*\+\(\)]/g, '')
         };
-      }
+      } else {
+        var param = segment.substr(1).replace(/\?$/, '');
+        var optional = segment.charAt(segment.length - 1) === '?';
 
-      var param = segment.substr(1).replace(/\?$/, '');
-      var optional = segment.charAt(segment.length - 1) === '?';
+        if (/[\?\*\+\(\)]/.test(param)) {
+          return undefined;
+        }
 
-      if (!/[\?\*\+\(\)]/.test(param)) {
-        params.push(param);
-        (optional ? optionalParams : mandatoryParams).push(param);
+        parsedSegment = addParam(param, segment, optional);
+      }
 
-        var regExp = null;
-        if (requirements[param]) {
-          var regExpStr = requirements[param];
-          if (regExpStr.charAt(0) === '/') {
-            regExpStr = regExpStr.substring(1, regExpStr.length - 1);
-          }
-          regExp = new RegExp(regExpStr);
-        }
+      if (suffixMatch) {
+        parsedSegment.suffix = addParam(suffixMatch[2], suffixValue, !!suffixMatch[3]);
+        parsedSegment.suffix.isSuffix = true;
+      }
 
-        return paramData[param] = {
-          isParam: true,
-          value: segment,
-          param: param,
-          optional: optional,
-          regExp: regExp,
-          defaultValue: defaults[param]
-        };
+      return parsedSegment;
+    });
+
+  // Host params are mandatory and validated just like path params
+  var host = options.host ? parseHostPattern(options.host, requirements, defaults, types) : null;
+  if (host) {
+    host.params.forEach(function (param) {
+      if (paramData[param]) {
+        thr('Param "%s" is defined in both the host and the path pattern', param);
       }
+
+      params.push(param);
+      mandatoryParams.push(param);
+      paramData[param] = host.paramData[param];
     });
+  }
 
   // This one is controversial: Params that are defined in the 'defaults' section of a route
   // config object, but that are not present in the pattern. For now, let's treat these params as
-  // being static that only a param handler or a sub-route can override.
+  // being static that only a param handler or a sub-route can override. Inherited defaults have
+  // already been applied by the parent route.
   var staticParams = {};
-  _.each(defaults, function (val, key) {
+  _.each(ownDefaults, function (val, key) {
     if (!paramData[key]) {
       staticParams[key] = val;
     }
@@ -79,10 +255,32 @@ function parsePattern(pattern, options) {
     paramData: paramData,
     optionalParams: optionalParams,
     mandatoryParams: mandatoryParams,
-    staticParams: staticParams
+    staticParams: staticParams,
+    host: host
   };
 }
 
+/**
+ * Apply the name prefixes and suffixes of routing resource imports to a route name. Scopes are
+ * ordered from the outermost to the innermost import, the locale of a route variant stays last:
+ * `[{prefix: 'a_', suffix: ''}, {prefix: 'b_', suffix: '_c'}]` turns `about@en` into
+ * `a_b_about_c@en`.
+ *
+ * @private
+ * @param {string} name Route name
+ * @param {object[]} nameScopes Objects with the properties `prefix` and `suffix`
+ * @returns {string}
+ */
+function applyNameScopes(name, nameScopes) {
+  var separatorIdx = name.indexOf('@');
+  var baseName = separatorIdx !== -1 ? name.substr(0, separatorIdx) : name;
+  var localeSuffix = separatorIdx !== -1 ? name.substr(separatorIdx) : '';
+
+  return _.reduceRight(nameScopes, function (memo, scope) {
+    return (scope.prefix || '') + memo + (scope.suffix || '');
+  }, baseName) + localeSuffix;
+}
+
 function callHandlers(handlers, done) {
   var args = [].slice.call(arguments, 2);
   var argsLength = args.length;
@@ -90,6 +288,7 @@ function callHandlers(handlers, done) {
 
   function nextHandler(err) {
     var handler = handlers[idx++];
+    var result;
 
     if (!err && handler) {
       debug('Call handler: %s', handler.name || '[anonymous function]');
@@ -97,24 +296,31 @@ function callHandlers(handlers, done) {
       switch (argsLength) {
         case 0:
           // fn(next)
-          return handler(nextHandler);
+          result = handler(nextHandler);
+          break;
 
         case 1:
           // fn(req, next)
-          return handler(args[0], nextHandler);
+          result = handler(args[0], nextHandler);
+          break;
 
         case 2:
           // fn(req, res, next)
-          return handler(args[0], args[1], nextHandler);
+          result = handler(args[0], args[1], nextHandler);
+          break;
 
         case 3:
           // fn(req, res, next, val)
-          return handler(args[0], args[1], nextHandler, args[2]);
+          result = handler(args[0], args[1], nextHandler, args[2]);
+          break;
 
         default:
           // fn(req, res, next, …)
-          return handler.apply(null, args);
+          result = handler.apply(null, args);
       }
+
+      // Async handlers still call `next()` themselves, but their rejections must not get lost
+      return utils.forwardRejection(result, nextHandler);
     }
 
     done(err);
@@ -133,6 +339,19 @@ function callHandlers(handlers, done) {
  * Options:
  * - `controllerBasePath`: {string} ["app/controllers"] Base path to load controller script files
  * - `routingFile`: {string} [undefined] Path to a YAML routing file to load initially
+ * - `watch`: {boolean} [false] Watch all loaded YAML routing files and reload the routes when one
+ * of them changes. See {@link Routicorn#watch}
+ * - `watchInterval`: {number} [500] Polling interval for watched files in milliseconds
+ * - `compiled`: {boolean} [false] Dispatch requests by looking up the action routes in a flat
+ * table, instead of walking the nested express routers. Only the middleware of routes on the way
+ * to a matching action route runs. See {@link CompiledDispatcher}
+ * - `defaultLocale`: {string} [undefined] Locale of the localized route variant to use when
+ * generating paths without a locale. See {@link Routicorn#resolveRoute}
+ * - `paramTypes`: {object} [{}] Custom param types, by name. See {@link Routicorn#registerParamType}
+ * - `middleware`: {object} [{}] Middleware factories, by name. See
+ * {@link Routicorn#registerMiddleware}
+ * - `container`: {Container|object} [new Container()] Service container that resolves the
+ * dependencies of controllers, or an object of services to create one from. See {@link Container}
  *
  * Events:
  * - `request`: Emitted when a request is about to be handled. Listeners get the request object.
@@ -163,9 +382,35 @@ function BaseRoute(routeName, pattern, parentRoute, options) {
     thr(TypeError, 'pattern must be a string');
   }
 
+  options = options || {};
+
+  // Requirements and defaults of parent routes apply to this route, unless it overrides them
+  var requirements = _.extend({}, parentRoute && parentRoute._requirements, options.requirements);
+  var inheritedDefaults = (parentRoute && parentRoute._defaults) || {};
+
   // Private/protected properties
   var expressRouter;
   utils.defineProps(this, false, {
+    /**
+     * Requirements of this route merged with the requirements of its parent routes
+     * @memberof BaseRoute#
+     * @name _requirements
+     * @type {object.<string, string>}
+     * @readonly
+     * @protected
+     */
+    requirements: requirements,
+
+    /**
+     * Defaults of this route merged with the defaults of its parent routes
+     * @memberof BaseRoute#
+     * @name _defaults
+     * @type {object}
+     * @readonly
+     * @protected
+     */
+    defaults: _.extend({}, inheritedDefaults, options.defaults),
+
     /**
      * @memberof BaseRoute#
      * @name _parsedPattern
@@ -173,7 +418,16 @@ function BaseRoute(routeName, pattern, parentRoute, options) {
      * @readonly
      * @private
      */
-    parsedPattern: parsePattern(pattern, options),
+    parsedPattern: parsePattern(pattern, _.extend({}, options, {
+      requirements: requirements,
+      inheritedDefaults: inheritedDefaults,
+      types: _.mapValues(options.types || {}, function (typeName) {
+        // Custom types are registered with the router
+        var root = parentRoute ? parentRoute._getRoot() : null;
+
+        return root && root.getParamType ? root.getParamType(typeName) : paramTypes.get(typeName);
+      })
+    })),
 
     /**
      * @memberof BaseRoute#
@@ -194,13 +448,71 @@ function BaseRoute(routeName, pattern, parentRoute, options) {
     paramHandlers: {},
 
     /**
+     * Schemes defined for this route itself, see {@link BaseRoute#getSchemes}
+     * @memberof BaseRoute#
+     * @name _schemes
+     * @type {string[]}
+     * @readonly
+     * @private
+     */
+    schemes: parseSchemes(options.schemes),
+
+    /**
+     * Formats defined for this route itself, see {@link BaseRoute#getFormats}
+     * @memberof BaseRoute#
+     * @name _formats
+     * @type {string[]}
+     * @readonly
+     * @private
+     */
+    formats: _(_.flatten([options.formats], true))
+      .compact()
+      .map(function (format) {
+        return ('' + format).toLowerCase();
+      })
+      .unique()
+      .value(),
+
+    /**
+     * Request conditions, see {@link BaseRoute#_matchConditions}
+     * @memberof BaseRoute#
+     * @name _conditions
+     * @type {object}
+     * @readonly
+     * @private
+     */
+    conditions: parseConditions(options.conditions),
+
+    /**
+     * Tags of this route itself, see {@link BaseRoute#getTags}
      * @memberof BaseRoute#
      * @name _tags
      * @type {string[]}
      * @readonly
      * @private
      */
-    tags: [],
+    tags: _.unique(_.compact(_.flatten([options.tags], true))),
+
+    /**
+     * Metadata of this route itself, see {@link BaseRoute#getMeta}
+     * @memberof BaseRoute#
+     * @name _meta
+     * @type {object}
+     * @readonly
+     * @private
+     */
+    meta: _.extend({}, options.meta),
+
+    /**
+     * Name prefixes and suffixes of the routing resource imports this route has been loaded
+     * through, from the outermost to the innermost import
+     * @memberof BaseRoute#
+     * @name _nameScopes
+     * @type {object[]}
+     * @readonly
+     * @protected
+     */
+    nameScopes: options.nameScopes || [],
 
     /**
      * @memberof BaseRoute#
@@ -222,11 +534,7 @@ function BaseRoute(routeName, pattern, parentRoute, options) {
         // Handle middleware ourselves so it's possible to add middleware that is guaranteed to
         // execute before any action handler or sub-route
         expressRouter.use(function invokeMiddleware(req, res, next) {
-          if (self._middleware.length > 0) {
-            return callHandlers(self._middleware, next, req, res);
-          }
-
-          next();
+          self._invokeMiddleware(req, res, next);
         });
       }
 
@@ -267,7 +575,47 @@ function BaseRoute(routeName, pattern, parentRoute, options) {
      * @type {string}
      * @readonly
      */
-    pattern: this._parsedPattern.pattern
+    pattern: this._parsedPattern.pattern,
+
+    /**
+     * Locale of this route if it is the variant of a localized route, see
+     * {@link Routicorn#resolveRoute}
+     * @memberof BaseRoute#
+     * @type {?string}
+     * @readonly
+     */
+    locale: options.locale || null,
+
+    /**
+     * Host pattern, like `:tenant.example.com`
+     * @memberof BaseRoute#
+     * @type {?string}
+     * @readonly
+     */
+    host: this._parsedPattern.host ? this._parsedPattern.host.pattern : null,
+
+    /**
+     * Former names of this route, which {@link Routicorn#getRoute} and
+     * {@link Routicorn#resolveRoute} accept as well
+     * @memberof BaseRoute#
+     * @type {string[]}
+     * @readonly
+     */
+    aliases: _.unique(_.compact(_.flatten([options.aliases], true))),
+
+    /**
+     * Deprecation message if this route is deprecated, see {@link BaseRoute#_warnDeprecated}
+     * @memberof BaseRoute#
+     * @type {?string}
+     * @readonly
+     */
+    deprecated: options.deprecated === true ? DEFAULT_DEPRECATION_MESSAGE : (options.deprecated || null)
+  });
+
+  this.aliases.forEach(function (alias) {
+    if (!NAME_REGEX.test(alias)) {
+      thr('Bad alias "%s" of route %s: Alias must match %s', alias, routeName, NAME_REGEX);
+    }
   });
 
   if (parentRoute) {
@@ -280,7 +628,8 @@ inherits(BaseRoute, EventEmitter);
 /**
  * Add middleware to be executed when this route is invoked, before any action handler is called
  * and after all param handlers have been invoked. Multiple functions can be provided either by
- * using multiple arguments or by using arrays.
+ * using multiple arguments or by using arrays. Middleware may return a promise, a rejection is
+ * passed to `next()`.
  *
  * Usage: `route.use(function(req, res, next) {…})`
  *
@@ -307,7 +656,8 @@ BaseRoute.prototype.use = function (fn) {
 /**
  * Add a param handler that will be invoked when a specific param is present in a request, before
  * middleware and action handlers. Every handler must call `next()` or the request will be stale.
- * Multiple handlers can be provided either by using multiple arguments or by using arrays.
+ * Handlers may return a promise, a rejection is passed to `next()`. Multiple handlers can be
+ * provided either by using multiple arguments or by using arrays.
  *
  * Usage: `route.param('foo', function (req, res, next, val) {…})`
  *
@@ -337,12 +687,12 @@ BaseRoute.prototype.param = function (param, fn) {
 };
 
 /**
- * Get all tags
+ * Get all tags, including the tags of the parent routes
  *
  * @returns {string[]}
  */
 BaseRoute.prototype.getTags = function () {
-  return this._tags;
+  return this.parentRoute ? _.union(this.parentRoute.getTags(), this._tags) : this._tags.slice();
 };
 
 /**
@@ -351,13 +701,13 @@ BaseRoute.prototype.getTags = function () {
  * @param {string} tag Tag
  */
 BaseRoute.prototype.addTag = function (tag) {
-  if (!this.hasTag(tag)) {
+  if (this._tags.indexOf(tag) === -1) {
     this._tags.push(tag);
   }
 };
 
 /**
- * Remove a tag
+ * Remove a tag. Tags of parent routes cannot be removed.
  *
  * @param {string} tag Tag
  */
@@ -374,7 +724,85 @@ BaseRoute.prototype.removeTag = function (tag) {
  * @param {string} tag Tag
  */
 BaseRoute.prototype.hasTag = function (tag) {
-  return this._tags.indexOf(tag) !== -1;
+  return this.getTags().indexOf(tag) !== -1;
+};
+
+/**
+ * Get the custom metadata of this route, merged with the metadata of its parent routes
+ *
+ * Usage: `route.getMeta()` or `route.getMeta('permission')`
+ *
+ * @param {string} [key] Return the value of a single key
+ * @returns {*}
+ */
+BaseRoute.prototype.getMeta = function (key) {
+  var meta = _.extend({}, this.parentRoute ? this.parentRoute.getMeta() : {}, this._meta);
+
+  return arguments.length > 0 ? meta[key] : meta;
+};
+
+/**
+ * Get the requirements of this route, merged with the requirements of its parent routes at the
+ * time this route has been created
+ *
+ * @returns {object.<string, string>}
+ */
+BaseRoute.prototype.getRequirements = function () {
+  return _.clone(this._requirements);
+};
+
+/**
+ * Get the defaults of this route, merged with the defaults of its parent routes at the time this
+ * route has been created
+ *
+ * @returns {object}
+ */
+BaseRoute.prototype.getDefaults = function () {
+  return _.clone(this._defaults);
+};
+
+/**
+ * Get the schemes this route may be served over. Routes without schemes of their own use the
+ * schemes of their parent route. An empty list means any scheme is fine.
+ *
+ * @returns {string[]}
+ */
+BaseRoute.prototype.getSchemes = function () {
+  var route = this;
+
+  while (route && route._schemes.length === 0) {
+    route = route.parentRoute;
+  }
+
+  return route ? route._schemes : [];
+};
+
+/**
+ * Determine if this route may be served over a given scheme
+ *
+ * @param {string} scheme "http" or "https"
+ * @returns {boolean}
+ */
+BaseRoute.prototype.acceptsScheme = function (scheme) {
+  var schemes = this.getSchemes();
+
+  return schemes.length === 0 || schemes.indexOf(('' + scheme).toLowerCase()) !== -1;
+};
+
+/**
+ * Get the response formats this route supports, like `html` or `json`. Routes without formats of
+ * their own use the formats of their parent route. An empty list means any format is fine.
+ *
+ * @returns {string[]}
+ */
+BaseRoute.prototype.getFormats = function () {
+  var route = this;
+
+  while (route && route._formats.length === 0) {
+    route = route.parentRoute;
+  }
+
+  return route ? route._formats : [];
 };
 
 /**
@@ -393,6 +821,18 @@ BaseRoute.prototype.getParentRoutes = function (stopRoute) {
   return result;
 };
 
+/**
+ * Get the pattern of this route joined with the patterns of its parent routes, like
+ * `/users/:username/books`
+ *
+ * @returns {string}
+ */
+BaseRoute.prototype.getFullPattern = function () {
+  var patterns = _.pluck(this.getParentRoutes(), 'pattern').concat([this.pattern]);
+
+  return '/' + _.trim(patterns.join('/').replace(/\/+/g, '/'), '/');
+};
+
 /**
  * Find the nearest connecting route of this route and another route
  *
@@ -478,6 +918,8 @@ BaseRoute.prototype.toString = function () {
  * routeInstance], …]}`
  * - `fromRoute`: {BaseRoute} [undefined] Pass a route instance. If it is a parent of the current
  * route, ancestors of this given route will be excluded.
+ * - `warnDeprecated`: {boolean} [true] False skips the deprecation warning of a deprecated route,
+ * for paths that are generated internally rather than on behalf of the app.
  *
  * @param {object} [params={}] Parameter values
  * @param {object} [query={}] Query parameters
@@ -497,52 +939,76 @@ BaseRoute.prototype.generatePath = function (params, query, options) {
     thr(TypeError, 'options.fromRoute must be an instance of BaseRoute');
   }
 
+  if (self.deprecated && options.warnDeprecated !== false) {
+    self._warnDeprecated('generate');
+  }
+
   var returnObj = !!options.separated;
   var route = self;
   var segments = [];
   var routes = [];
 
+  // Get the value of a param, `null` if an optional param is left out
+  function generateParam(paramRoute, paramData) {
+    var val = params[paramData.param];
+    var useDefault = false;
+
+    if (isMissing(val)) {
+      if (isMissing(paramData.defaultValue)) {
+        if (paramData.optional) {
+          return null;
+        }
+
+        thr(
+          'Cannot generate path: missing param "%s" (defined in route "%s"). History: %s',
+          paramData.param,
+          paramRoute.name,
+          self.getRouteHierarchy()
+        );
+      }
+
+      val = paramData.defaultValue;
+      useDefault = true;
+    }
+
+    if (paramData.type && !_.isString(val)) {
+      val = paramData.type.format(val);
+    }
+
+    if (paramData.regExp && !paramData.regExp.test(val)) {
+      thr(
+        'Cannot generate path for route "%s": Value "%s"%s does not pass requirement ' +
+        'for param "%s". History: %s',
+        paramRoute.name,
+        val,
+        useDefault ? '(=default)' : '',
+        paramData.param,
+        self.getRouteHierarchy()
+      );
+    }
+
+    return '' + val;
+  }
+
   do {
     routes.unshift(route);
     segments.unshift(route._parsedPattern.segments.reduce(function (memo, segment) {
-      if (!segment.isParam) {
-        return memo + '/' + segment.cleanValue;
-      }
-
-      var val = params[segment.param];
-      var useDefault = false;
-
-      if (!val) {
-        if (!segment.defaultValue) {
-          if (segment.optional) {
-            return memo;
-          }
-
-          thr(
-            'Cannot generate path: missing param "%s" (defined in route "%s"). History: %s',
-            segment.param,
-            route.name,
-            self.getRouteHistory()
-          );
-        }
+      var generated = segment.isParam ? generateParam(route, segment) : segment.cleanValue;
 
-        val = segment.defaultValue;
-        useDefault = true;
+      if (generated === null) {
+        return memo;
       }
 
-      if (segment.regExp && !segment.regExp.test(val)) {
-        thr(
-          'Cannot generate path for route "%s": Value "%s"%s does not pass requirement ' +
-          'for param "%s". History: %s',
-          route.name,
-          val,
-          useDefault ? '(=default)' : '',
-          segment.param,
-          self.getRouteHistory()
-        );
+      if (segment.suffix) {
+        var suffix = generateParam(route, segment.suffix);
+
+        // Optional suffixes are left out if they equal the default value, like `.html`
+        if (suffix !== null && !(segment.suffix.optional && suffix === '' + segment.suffix.defaultValue)) {
+          generated += '.' + suffix;
+        }
       }
 
-      return memo + '/' + val;
+      return memo + '/' + generated;
     }, ''));
   } while ((route = route.parentRoute) !== null && route !== stopRoute);
 
@@ -568,20 +1034,28 @@ BaseRoute.prototype.generatePath = function (params, query, options) {
 };
 
 /**
+ * Generate an absolute URL to this route. If this route or one of its parents has a host pattern,
+ * the hostname is generated from the params, otherwise the `hostname` option is mandatory.
+ *
+ * If the route is restricted to schemes (see {@link BaseRoute#getSchemes}), a scheme that the
+ * route does not accept is replaced by the first accepted one and the `port` option is ignored.
  *
  * Options:
  *
  * - `protoRelative`: {boolean} false True forces the generation of a protocol relative URL.
+ * Ignored if the route is restricted to one scheme.
  * - `secure`: {boolean} false True forces the use of "https", false forces "http".
- * - `host`: {string} undefined Hostname/domain (FQDN). This is a mandatory setting.
+ * - `hostname`: {string} undefined Hostname/domain (FQDN). Mandatory unless the route has a
+ * host pattern.
  * - `port`: {number} null Either `null` to leave the port out in every case or an integer
  * number. By default, a port is never included in the URL if it matches the protocol's default
  * port (80/443). Routicorn cannot reliably lookup the public port of a gateway server, only if
  * there is a `X-Forwarded-For` header, the port is left unset by default.
+ * - `warnDeprecated`: {boolean} true See {@link BaseRoute#generatePath}
  *
  * @param {object} [params={}] Parameter values
  * @param {object} [query={}] Query parameters
- * @param {object} options Options. The `host` setting is mandatory.
+ * @param {object} options Options
  * @returns {string}
  */
 BaseRoute.prototype.generateUrl = function (params, query, options) {
@@ -591,21 +1065,216 @@ BaseRoute.prototype.generateUrl = function (params, query, options) {
     options.secure = false;
   }
 
-  if (!_.isString(options.hostname)) {
-    thr('options.hostname must be a string');
+  var hostname = this._generateHostname(params || {});
+  if (hostname === null) {
+    if (!_.isString(options.hostname)) {
+      thr('options.hostname must be a string');
+    }
+
+    hostname = options.hostname;
   }
 
   if (!_.isNumber(options.port)) {
     options.port = null;
   }
 
-  var fullPath = this.generatePath(params, query);
+  var fullPath = this.generatePath(params, query, {
+    warnDeprecated: options.warnDeprecated
+  });
+  var schemes = this.getSchemes();
   var secure = options.secure;
-  var protocol = options.protoRelative !== true ? ('http' + (secure ? 's' : '')) : '';
   var port = options.port;
+
+  if (!this.acceptsScheme(secure ? 'https' : 'http')) {
+    secure = schemes[0] === 'https';
+    port = null;
+  }
+
+  var protoRelative = options.protoRelative === true && schemes.length !== 1;
+  var protocol = !protoRelative ? ('http' + (secure ? 's' : '') + ':') : '';
   port = (port === null || (secure && port === 443) || (!secure && port === 80)) ? '' : ':' + port;
 
-  return protocol + '://' + options.hostname + port + fullPath;
+  return protocol + '//' + hostname + port + fullPath;
+};
+
+/**
+ * Generate the hostname from the nearest host pattern of this route or its parents
+ *
+ * @protected
+ * @param {object} params Parameter values
+ * @returns {?string} Hostname or `null` if there is no host pattern
+ */
+BaseRoute.prototype._generateHostname = function (params) {
+  var self = this;
+  var route = this;
+
+  while (route && !route._parsedPattern.host) {
+    route = route.parentRoute;
+  }
+
+  if (!route) {
+    return null;
+  }
+
+  return route._parsedPattern.host.labels.map(function (label) {
+    if (!label.isParam) {
+      return label.value;
+    }
+
+    var val = params[label.param];
+    var useDefault = false;
+
+    if (isMissing(val)) {
+      if (isMissing(label.defaultValue)) {
+        thr(
+          'Cannot generate URL: missing host param "%s" (defined in route "%s"). History: %s',
+          label.param,
+          route.name,
+          self.getRouteHierarchy()
+        );
+      }
+
+      val = label.defaultValue;
+      useDefault = true;
+    }
+
+    if (label.type && !_.isString(val)) {
+      val = label.type.format(val);
+    }
+
+    if (label.regExp && !label.regExp.test(val)) {
+      thr(
+        'Cannot generate URL for route "%s": Value "%s"%s does not pass requirement for host ' +
+        'param "%s". History: %s',
+        route.name,
+        val,
+        useDefault ? '(=default)' : '',
+        label.param,
+        self.getRouteHierarchy()
+      );
+    }
+
+    return val;
+  }).join('.');
+};
+
+/**
+ * Match a hostname against the host pattern of this route
+ *
+ * @protected
+ * @param {string} [hostname]
+ * @returns {?object} Host params or `null` if the hostname does not match. Routes without a host
+ *   pattern match any hostname.
+ */
+BaseRoute.prototype._matchHost = function (hostname) {
+  var host = this._parsedPattern.host;
+
+  if (!host) {
+    return {};
+  }
+
+  var match = hostname ? host.regExp.exec(hostname) : null;
+  if (!match) {
+    return null;
+  }
+
+  var params = {};
+  var valid = host.params.every(function (param, idx) {
+    var regExp = host.paramData[param].regExp;
+    params[param] = match[idx + 1];
+
+    return !regExp || regExp.test(params[param]);
+  });
+
+  return valid ? params : null;
+};
+
+/**
+ * Determine if a request satisfies all constraints of this route that are not part of the path
+ * pattern. Requests that don't are passed on to the next route, as if the path did not match.
+ *
+ * @protected
+ * @param {object} req Request
+ * @returns {boolean}
+ */
+BaseRoute.prototype._matchesRequest = function (req) {
+  return this._matchHost(utils.getHostname(req)) !== null && this._matchConditions(req);
+};
+
+/**
+ * Check the conditions of this route against a request. All of them must be met:
+ *
+ * - `headers`: Header name → expected value. `true`/`false` require the header to be present or
+ * absent, a string enclosed in slashes is a regular expression, any other value must match exactly.
+ * - `content_type`: The request body must have one of the given types, like `json` or
+ * `application/*+json`
+ * - `accept`: The client must accept one of the given types. An Accept header with wildcards
+ * accepts any type, so routes for the preferred type should come first.
+ * - `predicates`: Names of predicates registered with {@link Routicorn#registerPredicate}
+ *
+ * @protected
+ * @param {object} req Request
+ * @returns {boolean}
+ */
+BaseRoute.prototype._matchConditions = function (req) {
+  var conditions = this._conditions;
+  var headers = req.headers || {};
+
+  var headersMatch = conditions.headers.every(function (condition) {
+    return matchHeader(condition, headers[condition.name]);
+  });
+
+  if (!headersMatch) {
+    return false;
+  }
+
+  if (conditions.contentTypes.length > 0 && !typeis(req, conditions.contentTypes)) {
+    return false;
+  }
+
+  if (conditions.accept.length > 0 && !accepts(req).type(conditions.accept)) {
+    return false;
+  }
+
+  if (conditions.predicates.length === 0) {
+    return true;
+  }
+
+  var router = this._getRoot();
+
+  return conditions.predicates.every(function (name) {
+    return !!router.getPredicate(name)(req);
+  });
+};
+
+/**
+ * Get the root route of the tree, which is the {@link Routicorn} instance
+ *
+ * @protected
+ * @returns {BaseRoute}
+ */
+BaseRoute.prototype._getRoot = function () {
+  var route = this;
+
+  while (route.parentRoute) {
+    route = route.parentRoute;
+  }
+
+  return route;
+};
+
+/**
+ * Warn about the use of this deprecated route. Emits a `deprecated route` event on the root route,
+ * listeners get passed the route, the reason (`match` or `generate`) and the request, if any.
+ *
+ * @protected
+ * @param {string} reason Either "match" or "generate"
+ * @param {object} [req] Current request
+ */
+BaseRoute.prototype._warnDeprecated = function (reason, req) {
+  debug('Warning: Deprecated route %s (%s): %s', this.name, reason, this.deprecated);
+
+  this._getRoot().emit('deprecated route', this, reason, req || null);
 };
 
 /**
@@ -631,6 +1300,26 @@ BaseRoute.prototype.getRouteHierarchy = function getRouteChain() {
  * @param {function} next Callback
  */
 BaseRoute.prototype._invoke = function (req, res, next) {
+  var self = this;
+
+  this._enter(req);
+
+  this._expressRouter(req, res, function (err) {
+    if (!err) {
+      self._leave(req);
+    }
+
+    next(err);
+  });
+};
+
+/**
+ * Mark a request as being dispatched into this route, before its params are handled
+ *
+ * @protected
+ * @param {object} req Request
+ */
+BaseRoute.prototype._enter = function (req) {
   // Mark current route
   req.routicornRoute = this;
 
@@ -641,14 +1330,22 @@ BaseRoute.prototype._invoke = function (req, res, next) {
 
   this.emit('request', req);
 
-  this._expressRouter(req, res, function (err) {
-    if (!err) {
-      delete req.routicornRoute;
-      req._routicornExtraParams.pop();
-    }
+  // Sub-requests are dispatched by the app itself, not by a client using the deprecated route
+  if (this.deprecated && !req.subRequest) {
+    this._warnDeprecated('match', req);
+  }
+};
 
-    next(err);
-  });
+/**
+ * Unmark a request when control is given back to the parent route without an error. The extra
+ * params of this route are dropped.
+ *
+ * @protected
+ * @param {object} req Request
+ */
+BaseRoute.prototype._leave = function (req) {
+  delete req.routicornRoute;
+  req._routicornExtraParams.pop();
 };
 
 /**
@@ -675,49 +1372,30 @@ BaseRoute.prototype._handleRequestParams = function (req, res, next) {
   var currentExtraParams = parentExtraParams ? _.clone(parentExtraParams) : {};
   extraParamLayers.push(currentExtraParams);
 
-  // Mixin extra params from ancestor routes via _default. Express' params always have precedence.
-  if (parentExtraParams) {
-    _.defaults(req.params, parentExtraParams);
-  }
-
-  var paramData;
-  var val;
-  var error;
-
-  // Inspect all explicit params of this route
-  this._parsedPattern.params.forEach(function (param) {
-    paramData = self._parsedPattern.paramData[param];
-    val = req.params[param];
+  // Mixin extra params from ancestor routes. Express' params always have precedence.
+  this._inheritExtraParams(req.params, parentExtraParams);
 
-    if (!val && paramData.defaultValue) {
-      // Express didn't recognize this param, but we have a default value
-      val = currentExtraParams[param] = req.params[param] = paramData.defaultValue;
-    }
-
-    // Throw if the param is mandatory, but missing and there is no default value
-    if (!val && !paramData.optional) {
-      error = thr.make('Missing parameter: %s', param);
-      debug(error.message);
-      return next(error);
-    }
-
-    // Validate the value
-    if (val && paramData.regExp && !paramData.regExp.test(val)) {
-      error = thr.make('Invalid value "%s" for parameter: %s', '' + val, param);
-      debug(error.message);
-      return next(error);
-    }
-  });
-
-  // Mixin static params, that express has no knowledge about at all
-  _.each(this._parsedPattern.staticParams, function (v, k) {
+  // Host params are not part of the path, so express does not know about them
+  _.each(this._matchHost(utils.getHostname(req)), function (v, k) {
     req.params[k] = currentExtraParams[k] = v;
   });
 
+  var error = this._resolveParams(req.params, currentExtraParams);
+  if (error) {
+    debug(error.message);
+    return next(error);
+  }
+
+  // Either a `:_locale` param or the static param of a localized route determines the locale
+  if (req.params[LOCALE_PARAM]) {
+    req.locale = req.params[LOCALE_PARAM];
+  }
+
   // Call param handlers. Express could do this for us, but since there could be additional
   // parameters, we should invoke all param callbacks ourselves.
   var paramName;
   var paramIdx = 0;
+  var val;
   var handleableParams = Object.keys(this._paramHandlers);
   var handlers;
 
@@ -748,4 +1426,146 @@ BaseRoute.prototype._handleRequestParams = function (req, res, next) {
   nextParamHandlers();
 };
 
+/**
+ * Add the extra params of the parent routes to a params hash. Params that are already set, like
+ * the ones from the path, take precedence. So do the defaults of the params of this route, which
+ * may override the defaults and static params of its parents.
+ *
+ * @protected
+ * @param {object} params Params, modified in place
+ * @param {object} [parentExtraParams] Extra params of the parent routes
+ */
+BaseRoute.prototype._inheritExtraParams = function (params, parentExtraParams) {
+  var paramData = this._parsedPattern.paramData;
+
+  _.each(parentExtraParams, function (val, param) {
+    if (params[param] === undefined && !(paramData[param] && !isMissing(paramData[param].defaultValue))) {
+      params[param] = val;
+    }
+  });
+};
+
+/**
+ * Apply default values and static params to a params hash and validate the values of all explicit
+ * params of this route. Params that are not part of the path are also added to `extraParams`.
+ *
+ * The returned error has a `code` property, either `MISSING_PARAM` or `INVALID_PARAM`, and a
+ * `param` property.
+ *
+ * @protected
+ * @param {object} params Params, modified in place
+ * @param {object} extraParams Extra params, modified in place
+ * @returns {?Error} The error of the first bad param
+ */
+BaseRoute.prototype._resolveParams = function (params, extraParams) {
+  var self = this;
+  var paramData;
+  var val;
+  var error = null;
+
+  // Inspect all explicit params of this route, stop at the first bad one
+  this._parsedPattern.params.some(function (param) {
+    paramData = self._parsedPattern.paramData[param];
+    val = params[param];
+
+    if (isMissing(val) && !isMissing(paramData.defaultValue)) {
+      // Express didn't recognize this param, but we have a default value
+      val = extraParams[param] = params[param] = paramData.defaultValue;
+    }
+
+    if (isMissing(val)) {
+      if (!paramData.optional) {
+        // The param is mandatory, but missing and there is no default value
+        error = thr.make('Missing parameter: %s', param);
+        error.code = 'MISSING_PARAM';
+      }
+    } else if (_.isString(val)) {
+      // Values that are no strings have already been converted by a parent route
+      if (paramData.regExp && !paramData.regExp.test(val)) {
+        val = undefined;
+      } else if (paramData.type) {
+        val = paramData.type.parse(val);
+      }
+
+      if (val === undefined || (_.isNumber(val) && isNaN(val))) {
+        error = thr.make('Invalid value "%s" for parameter: %s', '' + params[param], param);
+        error.code = 'INVALID_PARAM';
+      } else if (paramData.type) {
+        // Keep converted values when express hands over to the next router
+        params[param] = extraParams[param] = val;
+      } else if (_.has(extraParams, param)) {
+        // The value from the path overrides an extra param of a parent route, like a static param
+        extraParams[param] = val;
+      }
+    }
+
+    if (error) {
+      error.param = param;
+    }
+
+    return !!error;
+  });
+
+  if (error) {
+    return error;
+  }
+
+  // Mixin static params, that express has no knowledge about at all
+  _.each(this._parsedPattern.staticParams, function (v, k) {
+    params[k] = extraParams[k] = v;
+  });
+
+  return null;
+};
+
+/**
+ * Invoke the middleware of this route
+ *
+ * @protected
+ * @param {object} req Request
+ * @param {object} res Response
+ * @param {function} next Callback
+ */
+BaseRoute.prototype._invokeMiddleware = function (req, res, next) {
+  if (this._middleware.length > 0) {
+    return callHandlers(this._middleware, next, req, res);
+  }
+
+  next();
+};
+
+/**
+ * Route names must match this regular expression
+ * @static
+ * @type {RegExp}
+ */
+BaseRoute.NAME_REGEX = NAME_REGEX;
+
+/**
+ * Schemes routes can be restricted to
+ * @static
+ * @type {string[]}
+ */
+BaseRoute.SCHEMES = SCHEMES;
+
+/**
+ * @static
+ * @private
+ * @function
+ * @param {string} pattern Pattern
+ * @param {object} [options={}] Route options, `requirements` and `defaults` are considered
+ * @returns {object}
+ */
+BaseRoute.parsePattern = parsePattern;
+
+/**
+ * @static
+ * @private
+ * @function
+ * @param {string} name Route name
+ * @param {object[]} nameScopes Name prefixes and suffixes, from the outermost to the innermost
+ * @returns {string}
+ */
+BaseRoute.applyNameScopes = applyNameScopes;
+
 module.exports = BaseRoute;
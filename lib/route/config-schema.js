@@ -0,0 +1,678 @@
+'use strict';
+
+var _ = require('lodash');
+var httpVerbs = require('methods');
+var BaseRoute = require('./base');
+var resource = require('./resource');
+var controllers = require('./controllers');
+
+/**
+ * @namespace ConfigSchema
+ * @private
+ */
+module.exports = exports = {};
+
+function describeType(value) {
+  if (value === null || value === undefined) {
+    return 'nothing';
+  }
+
+  if (_.isArray(value)) {
+    return 'a list';
+  }
+
+  if (_.isPlainObject(value)) {
+    return 'a mapping';
+  }
+
+  return 'a ' + typeof value;
+}
+
+function expectString(value, ctx) {
+  if (!_.isString(value)) {
+    ctx.report('Expected a string, got ' + describeType(value));
+    return false;
+  }
+
+  return true;
+}
+
+function expectStrings(value, ctx) {
+  if (_.isString(value)) {
+    return true;
+  }
+
+  if (!_.isArray(value)) {
+    ctx.report('Expected a string or a list of strings, got ' + describeType(value));
+    return false;
+  }
+
+  return _.filter(value, function (item, idx) {
+    if (!_.isString(item)) {
+      ctx.report('Expected a string, got ' + describeType(item), [idx]);
+      return true;
+    }
+
+    return false;
+  }).length === 0;
+}
+
+function expectMapping(value, ctx) {
+  if (!_.isPlainObject(value)) {
+    ctx.report('Expected a mapping, got ' + describeType(value));
+    return false;
+  }
+
+  return true;
+}
+
+function expectVerbs(value, ctx) {
+  if (!expectStrings(value, ctx)) {
+    return false;
+  }
+
+  return _.filter(_.flatten([value]), function (verb, idx) {
+    if (verb.toLowerCase() !== 'all' && httpVerbs.indexOf(verb.toLowerCase()) === -1) {
+      ctx.report('Unknown HTTP method "' + verb + '"', _.isArray(value) ? [idx] : []);
+      return true;
+    }
+
+    return false;
+  }).length === 0;
+}
+
+function expectSchemes(value, ctx) {
+  if (!expectStrings(value, ctx)) {
+    return false;
+  }
+
+  return _.filter(_.flatten([value]), function (scheme, idx) {
+    if (BaseRoute.SCHEMES.indexOf(scheme.toLowerCase()) === -1) {
+      ctx.report('Unsupported scheme "' + scheme + '"', _.isArray(value) ? [idx] : []);
+      return true;
+    }
+
+    return false;
+  }).length === 0;
+}
+
+function expectPattern(value, ctx) {
+  if (!_.isPlainObject(value)) {
+    return expectString(value, ctx);
+  }
+
+  // Localized patterns, by locale
+  return _.filter(value, function (pattern, locale) {
+    if (!_.isString(pattern)) {
+      ctx.report('Expected a string, got ' + describeType(pattern), [locale]);
+      return true;
+    }
+
+    return false;
+  }).length === 0;
+}
+
+function expectMiddleware(value, ctx) {
+  if (_.isString(value)) {
+    return true;
+  }
+
+  if (!_.isArray(value)) {
+    ctx.report('Expected a middleware name or a list of middleware, got ' + describeType(value));
+    return false;
+  }
+
+  return _.filter(value, function (entry, idx) {
+    if (_.isString(entry)) {
+      return false;
+    }
+
+    if (!_.isPlainObject(entry) || _.size(entry) !== 1) {
+      ctx.report('Expected a middleware name or a mapping of one middleware name to options, got ' +
+        describeType(entry), [idx]);
+      return true;
+    }
+
+    var options = _.values(entry)[0];
+    if (options !== null && !_.isPlainObject(options)) {
+      ctx.report('Middleware options must be a mapping, got ' + describeType(options), [idx, _.keys(entry)[0]]);
+      return true;
+    }
+
+    return false;
+  }).length === 0;
+}
+
+/**
+ * Route types, besides plain routes
+ *
+ * @private
+ * @type {string[]}
+ */
+var ROUTE_TYPES = ['resource'];
+
+/**
+ * Create a validator for a key that only applies to routes of a given type
+ *
+ * @private
+ * @param {string} type
+ * @param {function} validator
+ * @returns {function}
+ */
+function forType(type, validator) {
+  return function (value, ctx) {
+    if (ctx.config.type !== type) {
+      return ctx.report('Only applies to routes of type "' + type + '"');
+    }
+
+    validator(value, ctx);
+  };
+}
+
+/**
+ * Create a validator for a key that only applies to routes that create an action route. Segment
+ * routes and resources do not pass such keys on to their sub-routes.
+ *
+ * @private
+ * @param {function} validator
+ * @returns {function}
+ */
+function forActions(validator) {
+  return function (value, ctx) {
+    var config = ctx.config;
+
+    if (config.type === 'resource' || !_.some(['controller', 'redirect', 'view'], _.partial(_.has, config))) {
+      return ctx.report('Only applies to routes with a controller, redirect or view');
+    }
+
+    validator(value, ctx);
+  };
+}
+
+function expectResourceActions(value, ctx) {
+  if (!expectStrings(value, ctx)) {
+    return;
+  }
+
+  _.each(_.flatten([value]), function (action, idx) {
+    if (resource.ACTION_NAMES.indexOf(action) === -1) {
+      ctx.report('Unknown resource action "' + action + '", expected one of: ' +
+        resource.ACTION_NAMES.join(', '), _.isArray(value) ? [idx] : []);
+    }
+  });
+}
+
+function expectNameAffix(value, ctx) {
+  if (!_.isString(ctx.config.resource)) {
+    return ctx.report('Only applies to routing resource imports');
+  }
+
+  if (expectString(value, ctx) && !/^[\w-]*$/.test(value)) {
+    ctx.report('Name prefixes and suffixes may only contain word characters and dashes');
+  }
+}
+
+/**
+ * Validators for the keys of the `redirect` option of a route config
+ *
+ * @private
+ * @type {object.<string, function>}
+ */
+var REDIRECT_KEYS = {
+  route: expectString,
+  url: expectString,
+  params: expectMapping,
+  status: function (value, ctx) {
+    if (controllers.REDIRECT_STATUS_CODES.indexOf(value) === -1) {
+      ctx.report('Expected a redirect status code, one of: ' + controllers.REDIRECT_STATUS_CODES.join(', '));
+    }
+  },
+  'keep_query': function (value, ctx) {
+    if (!_.isBoolean(value)) {
+      ctx.report('Expected a boolean, got ' + describeType(value));
+    }
+  }
+};
+
+/**
+ * Validators for the keys of the `conditions` of a route config
+ *
+ * @private
+ * @type {object.<string, function>}
+ */
+var CONDITION_KEYS = {
+  headers: function (value, ctx) {
+    if (!expectMapping(value, ctx)) {
+      return;
+    }
+
+    _.each(value, function (expected, name) {
+      if (_.isObject(expected) || expected === null) {
+        return ctx.report('Expected header value must be a scalar', [name]);
+      }
+
+      if (_.isString(expected) && expected.charAt(0) === '/') {
+        try {
+          RegExp(expected.replace(/^\/(.*)\/$/, '$1'));
+        } catch (e) {
+          ctx.report(e.message, [name]);
+        }
+      }
+    });
+  },
+  'content_type': expectStrings,
+  accept: expectStrings,
+  predicates: expectStrings
+};
+
+/**
+ * Validators for all known route config keys. A validator gets passed the value and a context
+ * object and reports problems via `ctx.report(message, [subPath])`.
+ *
+ * @private
+ * @type {object.<string, function>}
+ */
+var ROUTE_KEYS = {
+  type: function (value, ctx) {
+    if (!expectString(value, ctx)) {
+      return;
+    }
+
+    if (ROUTE_TYPES.indexOf(value) === -1) {
+      ctx.report('Unknown route type "' + value + '", expected one of: ' + ROUTE_TYPES.join(', '));
+    } else if (!_.isString(ctx.config.controller)) {
+      ctx.report('A resource must define a controller');
+    } else if (ctx.config.controller.indexOf('.') !== -1) {
+      ctx.report('The controller of a resource must not name an action: ' + ctx.config.controller);
+    }
+  },
+  param: forType('resource', function (value, ctx) {
+    if (expectString(value, ctx) && !/^\w+$/.test(value)) {
+      ctx.report('Invalid param name "' + value + '"');
+    }
+  }),
+  only: forType('resource', expectResourceActions),
+  except: forType('resource', expectResourceActions),
+  pattern: expectPattern,
+  host: function (value, ctx) {
+    if (expectString(value, ctx) && !/^[\w:.-]+$/.test(value)) {
+      ctx.report('Invalid host pattern "' + value + '"');
+    }
+  },
+  controller: expectString,
+  template: expectString,
+  summary: forActions(expectString),
+  description: forActions(expectString),
+  responses: forActions(function (value, ctx) {
+    if (!expectMapping(value, ctx)) {
+      return;
+    }
+
+    _.each(value, function (response, status) {
+      if (status !== 'default' && !/^[1-5](?:\d\d|XX)$/.test(status)) {
+        ctx.report('Expected an HTTP status code or "default", got "' + status + '"', [status]);
+      }
+
+      if (!_.isString(response) && !_.isPlainObject(response)) {
+        ctx.report('Expected a description or a mapping, got ' + describeType(response), [status]);
+      }
+    });
+  }),
+  resource: expectString,
+  'name_prefix': expectNameAffix,
+  'name_suffix': expectNameAffix,
+  routes: expectMapping,
+  method: expectVerbs,
+  methods: expectVerbs,
+  schemes: expectSchemes,
+  formats: expectStrings,
+  requirements: function (value, ctx) {
+    if (!expectMapping(value, ctx)) {
+      return;
+    }
+
+    _.each(value, function (regExpStr, param) {
+      if (!_.isString(regExpStr)) {
+        return ctx.report('Requirement must be a string', [param]);
+      }
+
+      // Segment routes pass their requirements on to their sub-routes
+      if (ctx.params.indexOf(param) === -1 && !ctx.hasSubRoutes) {
+        ctx.report('Requirement for param "' + param + '" that is not in the pattern', [param]);
+      }
+
+      try {
+        RegExp(regExpStr.replace(/^\/(.*)\/$/, '$1'));
+      } catch (e) {
+        ctx.report(e.message, [param]);
+      }
+    });
+  },
+  types: function (value, ctx) {
+    if (!expectMapping(value, ctx)) {
+      return;
+    }
+
+    _.each(value, function (typeName, param) {
+      if (!_.isString(typeName)) {
+        return ctx.report('Type must be a string', [param]);
+      }
+
+      if (ctx.params.indexOf(param) === -1) {
+        ctx.report('Type for param "' + param + '" that is not in the pattern', [param]);
+      }
+    });
+  },
+  defaults: function (value, ctx) {
+    if (!expectMapping(value, ctx)) {
+      return;
+    }
+
+    _.each(value, function (defaultValue, param) {
+      if (_.isObject(defaultValue)) {
+        ctx.report('Default value must be a scalar', [param]);
+      }
+
+      // Defaults of params starting with an underscore are static params by convention
+      if (param.charAt(0) !== '_' && ctx.knownParams.indexOf(param) === -1 && !ctx.hasSubRoutes) {
+        ctx.report('Default for unknown param "' + param + '"', [param]);
+      }
+    });
+  },
+  redirect: function (value, ctx) {
+    if (!expectMapping(value, ctx)) {
+      return;
+    }
+
+    if (_.has(ctx.config, 'controller')) {
+      ctx.report('A route cannot have both a controller and a redirect');
+    }
+
+    if (_.has(value, 'route') === _.has(value, 'url')) {
+      ctx.report('Redirect must define either a route or a url');
+    }
+
+    _.each(value, function (optionValue, key) {
+      if (!REDIRECT_KEYS[key]) {
+        return ctx.report('Unknown key "' + key + '", expected one of: ' + _.keys(REDIRECT_KEYS).join(', '), [key]);
+      }
+
+      REDIRECT_KEYS[key](optionValue, {
+        report: function (message, subPath) {
+          ctx.report(message, [key].concat(subPath || []));
+        }
+      });
+    });
+  },
+  view: function (value, ctx) {
+    if (!expectString(value, ctx)) {
+      return;
+    }
+
+    _.each(['controller', 'redirect', 'template'], function (key) {
+      if (_.has(ctx.config, key)) {
+        ctx.report('A view route cannot have a ' + key);
+      }
+    });
+
+    if (_.has(ctx.config, 'method') || _.has(ctx.config, 'methods')) {
+      ctx.report('View routes only handle GET and HEAD requests');
+    }
+  },
+  locals: function (value, ctx) {
+    if (!_.has(ctx.config, 'view')) {
+      return ctx.report('Only applies to view routes');
+    }
+
+    expectMapping(value, ctx);
+  },
+  status: function (value, ctx) {
+    if (!_.has(ctx.config, 'view')) {
+      return ctx.report('Only applies to view routes');
+    }
+
+    if (!_.isNumber(value) || value % 1 !== 0 || value < 100 || value > 599) {
+      ctx.report('Expected an HTTP status code, got ' + value);
+    }
+  },
+  middleware: expectMiddleware,
+  converters: function (value, ctx) {
+    if (!expectMapping(value, ctx)) {
+      return;
+    }
+
+    _.each(value, function (config, param) {
+      if (ctx.knownParams.indexOf(param) === -1) {
+        ctx.report('Converter for unknown param "' + param + '"', [param]);
+      }
+
+      if (!_.isPlainObject(config)) {
+        if (!_.isString(config)) {
+          ctx.report('Expected a converter name or a mapping, got ' + describeType(config), [param]);
+        }
+
+        return;
+      }
+
+      if (!_.isString(config.converter)) {
+        ctx.report('Expected a string, got ' + describeType(config.converter), [param, 'converter']);
+      }
+
+      if (_.has(config, 'property') && !_.isString(config.property)) {
+        ctx.report('Expected a string, got ' + describeType(config.property), [param, 'property']);
+      }
+
+      _.each(_.omit(config, ['converter', 'property']), function (v, key) {
+        ctx.report('Unknown key "' + key + '"', [param, key]);
+      });
+    });
+  },
+  conditions: function (value, ctx) {
+    if (!expectMapping(value, ctx)) {
+      return;
+    }
+
+    _.each(value, function (conditionValue, key) {
+      if (!CONDITION_KEYS[key]) {
+        return ctx.report('Unknown condition "' + key + '", expected one of: ' +
+          _.keys(CONDITION_KEYS).join(', '), [key]);
+      }
+
+      CONDITION_KEYS[key](conditionValue, {
+        report: function (message, subPath) {
+          ctx.report(message, [key].concat(subPath || []));
+        }
+      });
+    });
+  },
+  tag: expectStrings,
+  tags: expectStrings,
+  meta: expectMapping,
+  aliases: function (value, ctx) {
+    if (!expectStrings(value, ctx)) {
+      return;
+    }
+
+    _.each(_.flatten([value]), function (alias, idx) {
+      if (!BaseRoute.NAME_REGEX.test(alias)) {
+        ctx.report('Bad alias "' + alias + '": Alias must match ' + BaseRoute.NAME_REGEX,
+          _.isArray(value) ? [idx] : []);
+      }
+    });
+  },
+  deprecated: function (value, ctx) {
+    if (!_.isString(value) && !_.isBoolean(value)) {
+      ctx.report('Expected a deprecation message or a boolean, got ' + describeType(value));
+    }
+  }
+};
+
+/**
+ * Keys of which at least one must be present in a route config
+ *
+ * @private
+ * @type {string[]}
+ */
+var REQUIRED_KEYS = ['controller', 'redirect', 'view', 'resource', 'routes'];
+
+/**
+ * Levenshtein distance of two strings
+ *
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  var row = _.range(b.length + 1);
+
+  _.each(a, function (charA, i) {
+    var prev = row[0];
+    row[0] = i + 1;
+
+    _.each(b, function (charB, j) {
+      var tmp = row[j + 1];
+      row[j + 1] = Math.min(row[j + 1] + 1, row[j] + 1, prev + (charA === charB ? 0 : 1));
+      prev = tmp;
+    });
+  });
+
+  return row[b.length];
+}
+
+/**
+ * Find a known key that looks similar to an unknown one
+ *
+ * @private
+ * @param {string} key
+ * @returns {?string}
+ */
+function suggestKey(key) {
+  var best = null;
+  var bestDistance = 3;
+
+  _.each(ROUTE_KEYS, function (validator, knownKey) {
+    var dist = distance(key.toLowerCase(), knownKey);
+    if (dist < bestDistance) {
+      best = knownKey;
+      bestDistance = dist;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Get the params of the path and host pattern of a route config, ignoring malformed patterns. The
+ * params of all variants of a localized pattern are combined, resources add the param of their
+ * items.
+ *
+ * @private
+ * @param {object} config
+ * @returns {string[]}
+ */
+function getPatternParams(config) {
+  var patterns = _.isPlainObject(config.pattern) ? _.values(config.pattern) : [config.pattern];
+
+  var params = _.union.apply(_, patterns.map(function (pattern) {
+    try {
+      return BaseRoute.parsePattern(_.isString(pattern) ? pattern : '/', {
+        host: _.isString(config.host) ? config.host : null
+      }).params;
+    } catch (e) {
+      return [];
+    }
+  }));
+
+  // Resources add the param that identifies an item
+  return config.type === 'resource' ? _.union(params, [resource.getParam(config)]) : params;
+}
+
+function validateRoute(name, config, nodePath, knownParams, problems) {
+  function report(message, subPath) {
+    problems.push({
+      path: nodePath.concat(subPath || []),
+      message: message
+    });
+  }
+
+  if (!BaseRoute.NAME_REGEX.test(_.trim(name))) {
+    report('Bad route name "' + name + '": Name must match ' + BaseRoute.NAME_REGEX);
+  }
+
+  if (!_.isPlainObject(config)) {
+    return report('Route config must be a mapping, got ' + describeType(config));
+  }
+
+  var params = getPatternParams(config);
+  var ctx = {
+    name: name,
+    config: config,
+    params: params,
+    knownParams: _.union(knownParams, params),
+    hasSubRoutes: _.has(config, 'routes') || _.has(config, 'resource') || config.type === 'resource'
+  };
+
+  _.each(config, function (value, key) {
+    var validator = ROUTE_KEYS[key];
+
+    if (!validator) {
+      var suggestion = suggestKey(key);
+      return report(
+        'Unknown key "' + key + '"' + (suggestion ? ' (did you mean "' + suggestion + '"?)' : ''),
+        [key]
+      );
+    }
+
+    ctx.report = function (message, subPath) {
+      report(message, [key].concat(subPath || []));
+    };
+
+    validator(value, ctx);
+  });
+
+  if (!_.some(REQUIRED_KEYS, _.has.bind(_, config))) {
+    report('Route must define one of: ' + REQUIRED_KEYS.join(', '));
+  }
+
+  if (_.isPlainObject(config.routes)) {
+    _.each(config.routes, function (subConfig, subName) {
+      validateRoute(subName, subConfig, nodePath.concat(['routes', subName]), ctx.knownParams, problems);
+    });
+  }
+}
+
+/**
+ * Check route configs against the schema
+ *
+ * @private
+ * @param {object} routeConfigs Route configs, by route name
+ * @param {string[]} [knownParams=[]] Params defined by the route the configs will be attached to
+ *   and its ancestors
+ * @returns {object[]} List of problems, each with a `path` (array of keys and indexes) and a
+ *   `message`
+ */
+exports.validate = function (routeConfigs, knownParams) {
+  var problems = [];
+
+  if (!_.isPlainObject(routeConfigs)) {
+    problems.push({
+      path: [],
+      message: 'Expected a mapping of route names to route configs, got ' + describeType(routeConfigs)
+    });
+
+    return problems;
+  }
+
+  _.each(routeConfigs, function (config, name) {
+    validateRoute(name, config, [name], knownParams || [], problems);
+  });
+
+  return problems;
+};
+
+/**
+ * @private
+ * @type {object.<string, function>}
+ */
+exports.ROUTE_KEYS = ROUTE_KEYS;
@@ -0,0 +1,92 @@
+'use strict';
+
+var _ = require('lodash');
+var debug = require('debug')('routicorn:route:controllers');
+var parseUrl = require('url').parse;
+
+/**
+ * Built-in controllers of routes that are declared without a controller
+ *
+ * @namespace Controllers
+ * @private
+ */
+module.exports = exports = {};
+
+/**
+ * @constant {number} DEFAULT_REDIRECT_STATUS
+ */
+var DEFAULT_REDIRECT_STATUS = 302;
+
+/**
+ * Create a controller that redirects to a named route or to a URL. The params of the current
+ * request are used to generate the path of the target route.
+ *
+ * Options:
+ * - `route`: {string} Name of the target route
+ * - `url`: {string} Target URL, used instead of a route
+ * - `params`: {object} [{}] Additional params for the target route
+ * - `status`: {number} [302] Status code
+ * - `keep_query`: {boolean} [false] Pass the query string on to the target
+ *
+ * @param {object} options Options
+ * @returns {object} Controller with a `redirect` action
+ */
+exports.redirect = function (options) {
+  var status = options.status || DEFAULT_REDIRECT_STATUS;
+
+  return {
+    redirect: function (req, res) {
+      var location;
+
+      if (options.route) {
+        location = req.generatePath(options.route, options.params, options.keep_query ? req.query : {});
+      } else {
+        location = options.url;
+
+        if (options.keep_query) {
+          var search = parseUrl(req.originalUrl || req.url).search;
+          if (search) {
+            location += (location.indexOf('?') === -1 ? '?' : '&') + search.substr(1);
+          }
+        }
+      }
+
+      debug('Redirect to %s: %s', options.route || 'URL', location);
+
+      res.redirectUrl(status, location);
+    }
+  };
+};
+
+/**
+ * Create a controller that has the template of its route rendered, see
+ * {@link ActionRoute#_invokeAction}. The template gets passed the request params as `params`.
+ *
+ * Options:
+ * - `locals`: {object} [{}] Additional template data
+ * - `status`: {number} [200] Status code
+ *
+ * @param {object} options Options
+ * @returns {object} Controller with a `view` action
+ */
+exports.view = function (options) {
+  return {
+    view: function (req, res, next) {
+      _.extend(res.locals, options.locals, {
+        params: req.params
+      });
+
+      if (options.status) {
+        res.status(options.status);
+      }
+
+      next();
+    }
+  };
+};
+
+/**
+ * @private
+ * @type {number[]}
+ */
+exports.REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
@@ -3,9 +3,15 @@
 var _ = require('lodash');
 var debug = require('debug')('routicorn:route-factory');
 var thr = require('format-throw');
+var format = require('util').format;
 var fs = require('fs');
 var path = require('path');
 var yaml = require('js-yaml');
+var configSchema = require('./config-schema');
+var resource = require('./resource');
+var controllers = require('./controllers');
+var createLocator = require('./yaml-locator');
+var BaseRoute = require('./base');
 var SegmentRoute = require('./segment');
 var ActionRoute = require('./action');
 var utils = require('../utils');
@@ -15,6 +21,75 @@ var utils = require('../utils');
  */
 var DEFAULT_BASE_PATH = 'app/routing';
 
+var LOCALE_PARAM = '_locale';
+var LOCALE_SEPARATOR = '@';
+
+/**
+ * Format a node path of a route config, like `_users.routes.list_users.tags[0]`
+ *
+ * @private
+ * @param {Array} nodePath
+ * @returns {string}
+ */
+function formatNodePath(nodePath) {
+  return nodePath.reduce(function (memo, key) {
+    if (_.isNumber(key)) {
+      return memo + '[' + key + ']';
+    }
+
+    return memo + (memo ? '.' : '') + key;
+  }, '');
+}
+
+/**
+ * Create the error for problems found in route configs. Every problem is listed with its node path
+ * and, if known, the file path, line and column.
+ *
+ * @private
+ * @param {object[]} problems Objects with the properties `path`, `message`, `file`, `line` and
+ *   `column`
+ * @param {string} [routingFile] Path to the YAML file all problems were found in
+ * @returns {Error} Error with a `problems` property
+ */
+function createConfigError(problems, routingFile) {
+  var lines = problems.map(function (problem) {
+    var location = '';
+
+    if (problem.file) {
+      location = problem.file + (problem.line ? ':' + problem.line + ':' + problem.column : '') + ' ';
+    }
+
+    return '  - ' + location + formatNodePath(problem.path) + ': ' + problem.message;
+  });
+
+  var error = thr.make(
+    'Invalid routing configuration%s:\n%s',
+    routingFile ? ' in ' + routingFile : '',
+    lines.join('\n')
+  );
+  error.problems = problems;
+
+  return error;
+}
+
+/**
+ * Get the full name of a route variant, like `shop_about@en` for the `about` route, the `en` locale
+ * and an import with the `shop_` name prefix
+ *
+ * @private
+ * @param {string} name
+ * @param {?string} locale
+ * @param {object[]} nameScopes
+ * @returns {string}
+ */
+function getVariantName(name, locale, nameScopes) {
+  if (locale && !_.endsWith(name, LOCALE_SEPARATOR + locale)) {
+    name += LOCALE_SEPARATOR + locale;
+  }
+
+  return BaseRoute.applyNameScopes(name, nameScopes);
+}
+
 /**
  * Route factory
  *
@@ -42,33 +117,176 @@ function RouteFactory(router, controllerFactory) {
      * @private
      * @readonly
      */
-    controllerFactory: controllerFactory
+    controllerFactory: controllerFactory,
+
+    /**
+     * @memberof RouteFactory#
+     * @name _loadedFiles
+     * @type {string[]}
+     * @private
+     * @readonly
+     */
+    loadedFiles: [],
+
+    /**
+     * Holds the controller errors as `collected` while they are collected instead of thrown, see
+     * {@link RouteFactory#collectControllerErrors}
+     * @memberof RouteFactory#
+     * @name _controllerErrors
+     * @type {object}
+     * @private
+     * @readonly
+     */
+    controllerErrors: {
+      collected: null
+    },
+
+    /**
+     * Holds the redirect routes whose targets are checked once all routes have been created as
+     * `pending`, and where the redirects are configured as `locations`, see
+     * {@link RouteFactory#_checkRedirects}
+     * @memberof RouteFactory#
+     * @name _redirects
+     * @type {object}
+     * @private
+     * @readonly
+     */
+    redirects: {
+      pending: null,
+      locations: null
+    }
   });
 }
 
 /**
- * Load routes from a YAML file
+ * Call a function that creates routes, collecting missing controllers and controller methods
+ * instead of failing at the first one. Routes with a missing controller or method get an action
+ * that fails every request. Other errors are thrown as usual.
+ *
+ * @param {function} fn
+ * @returns {string[]} Error messages, empty if all controllers and methods exist
+ */
+RouteFactory.prototype.collectControllerErrors = function (fn) {
+  var controllerErrors = this._controllerErrors;
+  var collected = controllerErrors.collected = [];
+
+  try {
+    fn();
+  } finally {
+    controllerErrors.collected = null;
+  }
+
+  return collected;
+};
+
+/**
+ * Get the absolute paths of all YAML files that have been loaded, including resources
+ *
+ * @returns {string[]}
+ */
+RouteFactory.prototype.getLoadedFiles = function () {
+  return this._loadedFiles.slice();
+};
+
+/**
+ * Forget about previously loaded YAML files
+ */
+RouteFactory.prototype.resetLoadedFiles = function () {
+  this._loadedFiles.length = 0;
+};
+
+/**
+ * Load routes from a YAML file. Files with multiple documents are supported, the routes of all
+ * documents are loaded.
+ *
+ * The target routes of redirects must exist once the file and its resources have been loaded, they
+ * may be defined in the file itself or have been loaded before.
  *
  * @param {string} routingFile
  * @param {BaseRoute} [parentRoute] Parent route, defaults to the {@link Routicorn} instance that
  *   owns the route factory.
+ * @param {object[]} [nameScopes=[]] Name prefixes and suffixes to apply to the names of the routes,
+ *   see {@link BaseRoute.applyNameScopes}
  * @returns {object.<string, BaseRoute>}
  */
-RouteFactory.prototype.createRoutesFromYmlFile = function (routingFile, parentRoute) {
-  var yamlData = fs.readFileSync(routingFile);
+RouteFactory.prototype.createRoutesFromYmlFile = function (routingFile, parentRoute, nameScopes) {
+  var self = this;
 
-  var routeConfigs;
+  return this._checkRedirects(function () {
+    return self._createRoutesFromYmlFile(routingFile, parentRoute, nameScopes);
+  });
+};
+
+/**
+ * Load routes from a YAML file, see {@link RouteFactory#createRoutesFromYmlFile}
+ *
+ * @private
+ * @param {string} routingFile
+ * @param {BaseRoute} [parentRoute]
+ * @param {object[]} [nameScopes=[]]
+ * @returns {object.<string, BaseRoute>}
+ */
+RouteFactory.prototype._createRoutesFromYmlFile = function (routingFile, parentRoute, nameScopes) {
+  var absolutePath = path.resolve(routingFile);
+  if (this._loadedFiles.indexOf(absolutePath) === -1) {
+    this._loadedFiles.push(absolutePath);
+  }
+
+  var self = this;
+  var yamlData = fs.readFileSync(routingFile, 'utf8');
+
+  var documents = [];
   try {
-    routeConfigs = yaml.safeLoad(yamlData);
+    yaml.safeLoadAll(yamlData, function (document) {
+      documents.push(document);
+    }, {
+      filename: routingFile
+    });
   } catch (e) {
-    thr('Cannot parse routing config file: %s', routingFile);
+    var error = thr.make('Cannot parse routing config file %s: %s', routingFile, e.message);
+    error.mark = e.mark;
+    throw error;
   }
 
-  return this.createRoutesFromConfigs(routeConfigs, parentRoute, path.dirname(routingFile));
+  parentRoute = parentRoute || this._router;
+
+  // The route configs of multi-document files are merged, route names must be unique across all
+  // documents. Empty documents and empty routing files are fine.
+  var locate = createLocator(yamlData);
+  var routeConfigs = {};
+
+  documents.forEach(function (document, documentIndex) {
+    function locateInDocument(nodePath) {
+      return locate(nodePath, documentIndex);
+    }
+
+    document = document || {};
+
+    self._validateConfigs(document, parentRoute, routingFile, locateInDocument);
+    self._locateRedirects(document, routingFile, locateInDocument);
+
+    _.each(document, function (config, name) {
+      if (_.has(routeConfigs, name)) {
+        var position = locateInDocument([name]);
+
+        thr(
+          'Invalid routing configuration in %s:\n  - %s%s: Route is already defined in a previous document',
+          routingFile,
+          position ? routingFile + ':' + position.line + ':' + position.column + ' ' : '',
+          name
+        );
+      }
+
+      routeConfigs[name] = config;
+    });
+  });
+
+  return this._createRoutesFromConfigs(routeConfigs, parentRoute, path.dirname(routingFile), nameScopes);
 };
 
 /**
- * Create routes from route config objects
+ * Create routes from route config objects. The target routes of redirects must exist once the
+ * routes have been created.
  *
  * @param {object} routeConfigs
  * @param {BaseRoute} [parentRoute] Parent route, defaults to the {@link Routicorn} instance that
@@ -81,18 +299,235 @@ RouteFactory.prototype.createRoutesFromConfigs = function (routeConfigs, parentR
 
   parentRoute = parentRoute || this._router;
 
+  this._validateConfigs(routeConfigs, parentRoute);
+
+  return this._checkRedirects(function () {
+    self._locateRedirects(routeConfigs);
+
+    return self._createRoutesFromConfigs(routeConfigs, parentRoute, basePath);
+  });
+};
+
+/**
+ * Call a function that creates routes, then check that the target routes of the created redirect
+ * routes exist. Nested calls, like the ones for resources, leave the check to the outermost call,
+ * so that redirects may point to routes that are defined further down.
+ *
+ * @private
+ * @param {function} fn
+ * @returns {*} Return value of `fn`
+ */
+RouteFactory.prototype._checkRedirects = function (fn) {
+  var self = this;
+  var redirects = this._redirects;
+
+  if (redirects.pending) {
+    return fn();
+  }
+
+  var pending = redirects.pending = [];
+  var locations = redirects.locations = [];
+  var result;
+
+  try {
+    result = fn();
+  } finally {
+    redirects.pending = null;
+    redirects.locations = null;
+  }
+
+  var problems = [];
+
+  pending.forEach(function (entry) {
+    var target = entry.redirect.route;
+    var locale = entry.route.locale;
+
+    try {
+      self._router.resolveRoute(target, locale, entry.route);
+    } catch (e) {
+      var location = _.find(locations, function (candidate) {
+        return candidate.redirect === entry.redirect;
+      });
+
+      problems.push({
+        path: location ? location.path : [entry.route.name, 'redirect', 'route'],
+        message: 'Redirect target does not exist: ' + target + (locale ? ' (locale "' + locale + '")' : ''),
+        file: location ? location.file : null,
+        line: location && location.position ? location.position.line : null,
+        column: location && location.position ? location.position.column : null
+      });
+    }
+  });
+
+  if (problems.length > 0) {
+    var files = _.unique(_.pluck(problems, 'file'));
+
+    throw createConfigError(problems, files.length === 1 ? files[0] : null);
+  }
+
+  return result;
+};
+
+/**
+ * Remember where the redirects to routes of route configs are configured, so that errors about
+ * their targets can point there
+ *
+ * @private
+ * @param {object} routeConfigs
+ * @param {string} [routingFile] Path to the YAML file the configs were loaded from
+ * @param {function} [locate] Function that returns the position of a node in the YAML file
+ */
+RouteFactory.prototype._locateRedirects = function (routeConfigs, routingFile, locate) {
+  var locations = this._redirects.locations;
+
+  function walk(configs, nodePath) {
+    _.each(configs, function (config, name) {
+      if (!_.isPlainObject(config)) {
+        return;
+      }
+
+      var configPath = nodePath.concat([name]);
+
+      if (_.isPlainObject(config.redirect) && config.redirect.route) {
+        var redirectPath = configPath.concat(['redirect', 'route']);
+
+        locations.push({
+          redirect: config.redirect,
+          path: redirectPath,
+          file: routingFile || null,
+          position: locate ? locate(redirectPath) : null
+        });
+      }
+
+      walk(config.routes, configPath.concat(['routes']));
+    });
+  }
+
+  if (locations) {
+    walk(routeConfigs, []);
+  }
+};
+
+/**
+ * Check route configs against the config schema. All problems are collected into one error that
+ * lists the path of every bad node and, if the configs were loaded from a YAML file, its file
+ * path, line and column. The error has a `problems` property with the details.
+ *
+ * @private
+ * @param {object} routeConfigs
+ * @param {BaseRoute} parentRoute
+ * @param {string} [routingFile] Path to the YAML file the configs were loaded from
+ * @param {function} [locate] Function that returns the position of a node in the YAML file
+ */
+RouteFactory.prototype._validateConfigs = function (routeConfigs, parentRoute, routingFile, locate) {
+  var knownParams = _(parentRoute.getParentRoutes())
+    .concat([parentRoute])
+    .map(function (route) {
+      return route._parsedPattern.params;
+    })
+    .flatten()
+    .value();
+
+  var problems = configSchema.validate(routeConfigs, knownParams).concat(this._findUnknownMiddleware(routeConfigs));
+
+  if (problems.length === 0) {
+    return;
+  }
+
+  problems.forEach(function (problem) {
+    var position = locate ? locate(problem.path) : null;
+
+    problem.file = routingFile || null;
+    problem.line = position ? position.line : null;
+    problem.column = position ? position.column : null;
+  });
+
+  throw createConfigError(problems, routingFile);
+};
+
+/**
+ * Find the entries of `middleware` lists that name middleware nobody registered. Malformed entries
+ * are left to the config schema.
+ *
+ * @private
+ * @param {object} routeConfigs
+ * @returns {object[]} Problems, each with a `path` and a `message`
+ */
+RouteFactory.prototype._findUnknownMiddleware = function (routeConfigs) {
+  var factories = this._router._middlewareFactories;
+  var problems = [];
+
+  (function walk(configs, nodePath) {
+    _.each(configs, function (config, name) {
+      if (!_.isPlainObject(config)) {
+        return;
+      }
+
+      var configPath = nodePath.concat([name]);
+      var entries = _.isString(config.middleware) ? [config.middleware] : config.middleware;
+
+      _.each(_.isArray(entries) ? entries : [], function (entry, idx) {
+        var middlewareName = _.isPlainObject(entry) ? _.keys(entry)[0] : entry;
+
+        if (_.isString(middlewareName) && !_.has(factories, middlewareName)) {
+          problems.push({
+            path: configPath.concat(_.isString(config.middleware) ? ['middleware'] : ['middleware', idx]),
+            message: 'Middleware does not exist: ' + middlewareName
+          });
+        }
+      });
+
+      walk(config.routes, configPath.concat(['routes']));
+    });
+  }(routeConfigs, []));
+
+  return problems;
+};
+
+/**
+ * Create routes from route config objects that have already been validated
+ *
+ * @private
+ * @param {object} routeConfigs
+ * @param {BaseRoute} parentRoute Parent route
+ * @param {string} [basePath="app/routing"]
+ * @param {object[]} [nameScopes=[]] Name prefixes and suffixes of the resource imports
+ * @returns {object.<string, BaseRoute>}
+ */
+RouteFactory.prototype._createRoutesFromConfigs = function (routeConfigs, parentRoute, basePath, nameScopes) {
+  var self = this;
+
+  nameScopes = nameScopes || [];
+
   var routes = {};
   var route;
+  var parentLocale = parentRoute.locale;
+
   _.each(routeConfigs, function (config, name) {
     name = _.trim(name);
 
-    if (self._router.hasRoute(name)) {
-      thr('Route name is ambiguous: %s', name);
+    if (config.type === 'resource') {
+      config = resource.expand(name, config);
     }
 
-    if ((route = self._createRoute(name, config, parentRoute, basePath))) {
-      routes[route.name] = route;
+    // A localized pattern creates one route per locale, descendants of such a route are localized,
+    // too. Every variant is named after the route and its locale, like `about@en`.
+    var locales = [parentLocale];
+    if (!parentLocale && _.isPlainObject(config.pattern)) {
+      locales = _.keys(config.pattern);
     }
+
+    locales.forEach(function (locale) {
+      var variantName = getVariantName(name, locale, nameScopes);
+
+      if (self._router.hasRoute(variantName)) {
+        thr('Route name is ambiguous: %s', variantName);
+      }
+
+      if ((route = self._createRoute(variantName, config, parentRoute, basePath, locale, nameScopes))) {
+        routes[route.name] = route;
+      }
+    });
   });
 
   return routes;
@@ -106,43 +541,92 @@ RouteFactory.prototype.createRoutesFromConfigs = function (routeConfigs, parentR
  * @param {object} routeConfig
  * @param {SegmentRoute} parentRoute Parent route
  * @param {?string} basePath
+ * @param {?string} [locale] Locale of the route variant to create
+ * @param {object[]} [nameScopes=[]] Name prefixes and suffixes of the resource imports
  * @returns {BaseRoute}
  */
-RouteFactory.prototype._createRoute = function (name, routeConfig, parentRoute, basePath) {
+RouteFactory.prototype._createRoute = function (name, routeConfig, parentRoute, basePath, locale, nameScopes) {
   debug('Create route: %s', name);
 
-  routeConfig = routeConfig || {};
-
-  if (!routeConfig.controller && !routeConfig.resource && !routeConfig.routes) {
-    thr('Invalid route configuration: %s', name);
-  }
-
   var segmentRoute;
   var actionRoute;
   var hasSubRoutes = !!(routeConfig.resource || routeConfig.routes);
   var pattern = routeConfig.pattern || '/';
+  var defaults = routeConfig.defaults;
+
+  if (_.isPlainObject(pattern)) {
+    if (!pattern[locale]) {
+      thr('Cannot create route %s: Missing pattern for locale "%s"', name, locale);
+    }
+
+    pattern = pattern[locale];
+  }
+
+  if (locale) {
+    defaults = _.extend({}, defaults);
+    defaults[LOCALE_PARAM] = locale;
+  }
+
   var routeOptions = {
-    defaults: routeConfig.defaults,
+    locale: locale,
+    nameScopes: nameScopes,
+    host: routeConfig.host,
+    schemes: routeConfig.schemes,
+    conditions: routeConfig.conditions,
+    formats: routeConfig.formats,
+    defaults: defaults,
     requirements: routeConfig.requirements,
+    types: routeConfig.types,
     tags: _(_.flatten([routeConfig.tags, routeConfig.tag], true))
       .compact()
       .unique()
-      .value()
+      .value(),
+    meta: routeConfig.meta,
+    // Aliases are localized and scoped like the route name
+    aliases: _.flatten([routeConfig.aliases || []]).map(function (alias) {
+      return getVariantName(alias, locale, nameScopes);
+    }),
+    deprecated: routeConfig.deprecated
   };
 
+  var middleware = this._createMiddleware(routeConfig.middleware);
+
   // SegmentRoute
   if (hasSubRoutes) {
     segmentRoute = new SegmentRoute(name, pattern, parentRoute, routeOptions);
+
+    if (middleware.length > 0) {
+      segmentRoute.use(middleware);
+    }
   }
 
   // ActionRoute, could be implicit
-  if (routeConfig.controller) {
+  if (routeConfig.controller || routeConfig.redirect || routeConfig.view) {
     var methods = _.compact(_.flatten([routeConfig.methods, routeConfig.method], true));
     var actionRouteOptions = _.extend({}, routeOptions, {
       methods: methods.length > 0 ? methods : ['GET'],
-      controller: routeConfig.controller
+      controller: routeConfig.controller,
+      template: routeConfig.template,
+      summary: routeConfig.summary,
+      description: routeConfig.description,
+      responses: routeConfig.responses
     });
 
+    // Redirect and view routes get a built-in controller
+    if (routeConfig.redirect) {
+      _.extend(actionRouteOptions, {
+        controller: controllers.redirect(routeConfig.redirect),
+        actionName: 'redirect'
+      });
+    } else if (routeConfig.view) {
+      _.extend(actionRouteOptions, {
+        controller: controllers.view(routeConfig),
+        actionName: 'view',
+        methods: ['GET'],
+        template: routeConfig.view
+      });
+    }
+
     actionRoute = this._createActionRoute(
       name,
       hasSubRoutes ? '/' : pattern,
@@ -150,19 +634,43 @@ RouteFactory.prototype._createRoute = function (name, routeConfig, parentRoute,
       actionRouteOptions
     );
 
+    // An implicit action route gets the middleware from its segment route
+    if (!segmentRoute && middleware.length > 0) {
+      actionRoute.use(middleware);
+    }
+
     this._router.registerRoute(actionRoute);
+
+    // The target route may not have been created yet
+    if (routeConfig.redirect && routeConfig.redirect.route && this._redirects.pending) {
+      this._redirects.pending.push({
+        route: actionRoute,
+        redirect: routeConfig.redirect
+      });
+    }
   }
 
+  this._applyConverters(segmentRoute || actionRoute, routeConfig.converters);
+
   // Load sub-routes after creating the action route, as an implicit action route should come first.
   if (hasSubRoutes) {
     basePath = basePath || DEFAULT_BASE_PATH;
 
     if (routeConfig.routes) {
-      this.createRoutesFromConfigs(routeConfig.routes, segmentRoute, basePath);
+      this._createRoutesFromConfigs(routeConfig.routes, segmentRoute, basePath, nameScopes);
     }
 
     if (_.isString(routeConfig.resource)) {
-      this.createRoutesFromYmlFile(path.join(basePath, routeConfig.resource), segmentRoute);
+      // Names of imported routes can be prefixed and suffixed, so that a file can be imported twice
+      var resourceScopes = nameScopes || [];
+      if (routeConfig.name_prefix || routeConfig.name_suffix) {
+        resourceScopes = resourceScopes.concat([{
+          prefix: routeConfig.name_prefix || '',
+          suffix: routeConfig.name_suffix || ''
+        }]);
+      }
+
+      this.createRoutesFromYmlFile(path.join(basePath, routeConfig.resource), segmentRoute, resourceScopes);
     }
 
     this._router.registerRoute(segmentRoute);
@@ -171,6 +679,61 @@ RouteFactory.prototype._createRoute = function (name, routeConfig, parentRoute,
   return segmentRoute || actionRoute;
 };
 
+/**
+ * Create the middleware listed in a route config
+ *
+ * @private
+ * @param {Array|string} [middlewareConfig] Middleware names or objects that map a middleware name
+ *   to options
+ * @returns {function[]}
+ */
+RouteFactory.prototype._createMiddleware = function (middlewareConfig) {
+  var router = this._router;
+
+  return _(_.flatten([middlewareConfig], true))
+    .compact()
+    .map(function (entry) {
+      if (_.isString(entry)) {
+        return router.getMiddleware(entry);
+      }
+
+      var name = _.keys(entry)[0];
+
+      return router.getMiddleware(name, entry[name]);
+    })
+    .flatten()
+    .value();
+};
+
+/**
+ * Add param handlers that run the converters listed in a route config
+ *
+ * @private
+ * @param {BaseRoute} route
+ * @param {object} [convertersConfig] Param name → converter name or an object with the properties
+ *   `converter` and `property` (defaults to the param name)
+ */
+RouteFactory.prototype._applyConverters = function (route, convertersConfig) {
+  var router = this._router;
+
+  _.each(convertersConfig, function (config, param) {
+    var name = _.isString(config) ? config : config.converter;
+    var property = (!_.isString(config) && config.property) || param;
+
+    route.param(param, function convertParam(req, res, next, val) {
+      router._convertParam(name, param, val, req, function (err, entity) {
+        if (err) {
+          return next(err);
+        }
+
+        req.entities = req.entities || {};
+        req.entities[property] = entity;
+        next();
+      });
+    });
+  });
+};
+
 /**
  * Create an ActionRoute
  *
@@ -182,12 +745,61 @@ RouteFactory.prototype._createRoute = function (name, routeConfig, parentRoute,
  * @returns {ActionRoute}
  */
 RouteFactory.prototype._createActionRoute = function (name, pattern, parentRoute, options) {
-  var parsedController = options.controller.split('.');
-  options.controller = this._controllerFactory.getController(parsedController[0]);
-  options.controllerName = parsedController[0];
-  options.actionName = parsedController[1];
+  // Built-in controllers are passed as objects
+  if (_.isString(options.controller)) {
+    var parsedController = options.controller.split('.');
+    options.controllerName = parsedController[0];
+    options.actionName = parsedController[1];
+    options.controller = this._getController(name, options.controllerName, options.actionName);
+  }
 
   return new ActionRoute(name, pattern, parentRoute, options);
 };
 
+/**
+ * Get the controller of an action route. While controller errors are collected, a missing
+ * controller or method is recorded and replaced by a failing action.
+ *
+ * @private
+ * @param {string} name Route name
+ * @param {string} controllerName
+ * @param {string} [actionName] Method name, verb-style controllers have none
+ * @returns {object}
+ */
+RouteFactory.prototype._getController = function (name, controllerName, actionName) {
+  var collected = this._controllerErrors.collected;
+  var message;
+  var controller;
+
+  if (!collected) {
+    return this._controllerFactory.getController(controllerName);
+  }
+
+  try {
+    controller = this._controllerFactory.getController(controllerName);
+  } catch (e) {
+    // Errors of require() list the require stack on further lines
+    message = format('Route %s: Cannot load controller %s: %s', name, controllerName, e.message.split('\n')[0]);
+  }
+
+  if (controller && actionName && !_.isFunction(controller[actionName])) {
+    message = format('Route %s: Controller %s is missing method %s', name, controllerName, actionName);
+  }
+
+  if (!message) {
+    return controller;
+  }
+
+  debug(message);
+  collected.push(message);
+
+  // Verb-style controllers need at least one verb
+  var placeholder = _.clone(controller) || {};
+  placeholder[actionName || 'get'] = function (req, res, next) {
+    next(new Error(message));
+  };
+
+  return placeholder;
+};
+
 module.exports = RouteFactory;
@@ -0,0 +1,143 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Expands resource route configs (`type: resource`) into plain route configs
+ *
+ * @namespace Resource
+ * @private
+ */
+module.exports = exports = {};
+
+/**
+ * @constant {string} DEFAULT_PARAM
+ */
+var DEFAULT_PARAM = 'id';
+
+/**
+ * Keys that only apply to resource route configs
+ *
+ * @private
+ * @type {string[]}
+ */
+var RESOURCE_KEYS = ['type', 'param', 'only', 'except', 'controller'];
+
+/**
+ * Keys of a resource route config that apply to the member routes when they refer to the param
+ *
+ * @private
+ * @type {string[]}
+ */
+var MEMBER_KEYS = ['requirements', 'types', 'defaults', 'converters'];
+
+/**
+ * Standard actions of a resource, in the order they are tried. Collection actions operate on the
+ * whole resource, member actions on a single item identified by the param.
+ *
+ * @private
+ * @type {object[]}
+ */
+var ACTIONS = [
+  {name: 'index', pattern: '/', methods: ['get']},
+  {name: 'new', pattern: '/new', methods: ['get']},
+  {name: 'create', pattern: '/', methods: ['post']},
+  {name: 'show', pattern: '/', methods: ['get'], member: true},
+  {name: 'edit', pattern: '/edit', methods: ['get'], member: true},
+  {name: 'update', pattern: '/', methods: ['put', 'patch'], member: true},
+  {name: 'destroy', pattern: '/', methods: ['delete'], member: true}
+];
+
+/**
+ * Get the name of the param that identifies a resource item
+ *
+ * @param {object} config Resource route config
+ * @returns {string}
+ */
+exports.getParam = function (config) {
+  return _.isString(config.param) ? config.param : DEFAULT_PARAM;
+};
+
+/**
+ * Get the names of the actions a resource route config expands to, respecting `only` and `except`
+ *
+ * @param {object} config Resource route config
+ * @returns {string[]}
+ */
+exports.getActionNames = function (config) {
+  var only = config.only ? _.flatten([config.only]) : null;
+  var except = _.flatten([config.except || []]);
+
+  return _(ACTIONS)
+    .pluck('name')
+    .filter(function (action) {
+      return (!only || only.indexOf(action) !== -1) && except.indexOf(action) === -1;
+    })
+    .value();
+};
+
+/**
+ * Expand a resource route config into a config with one sub-route per action. Actions are named
+ * after the resource route, like `books_index` and `books_show`, and invoke the controller method
+ * of the same name, like `books.show`. Member actions share a segment route named like
+ * `_books_member`, which holds the requirements, types, defaults and converters of the param.
+ * Additional sub-routes follow the generated ones.
+ *
+ * ```yaml
+ * books:
+ *   type: resource
+ *   pattern: /books
+ *   controller: books
+ *   param: bookslug
+ *   except: [edit]
+ * ```
+ *
+ * @param {string} name Route name
+ * @param {object} config Resource route config
+ * @returns {object} Route config
+ */
+exports.expand = function (name, config) {
+  var param = exports.getParam(config);
+  var actionNames = exports.getActionNames(config);
+  var expanded = _.omit(config, RESOURCE_KEYS.concat(['routes']));
+  var collectionRoutes = {};
+  var memberRoutes = {};
+
+  // Settings of the param move to the member routes
+  var member = {
+    pattern: '/:' + param
+  };
+  MEMBER_KEYS.forEach(function (key) {
+    if (_.has(config[key], param)) {
+      member[key] = _.pick(config[key], param);
+      expanded[key] = _.omit(config[key], param);
+    }
+  });
+
+  ACTIONS.forEach(function (action) {
+    if (actionNames.indexOf(action.name) === -1) {
+      return;
+    }
+
+    (action.member ? memberRoutes : collectionRoutes)[name + '_' + action.name] = {
+      pattern: action.pattern,
+      controller: config.controller + '.' + action.name,
+      methods: action.methods
+    };
+  });
+
+  if (!_.isEmpty(memberRoutes)) {
+    member.routes = memberRoutes;
+    collectionRoutes['_' + name + '_member'] = member;
+  }
+
+  expanded.routes = _.extend(collectionRoutes, config.routes);
+
+  return expanded;
+};
+
+/**
+ * @private
+ * @type {string[]}
+ */
+exports.ACTION_NAMES = _.pluck(ACTIONS, 'name');
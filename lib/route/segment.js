@@ -7,6 +7,16 @@ var inherits = require('util').inherits;
 var BaseRoute = require('./base');
 var utils = require('../utils');
 
+/**
+ * Emit a `tree changed` event on the root route
+ *
+ * @private
+ * @param {BaseRoute} route Any route of the tree
+ */
+function notifyTreeChange(route) {
+  route._getRoot().emit('tree changed');
+}
+
 /**
  * @inheritdoc
  * @constructor
@@ -20,6 +30,20 @@ function SegmentRoute(routeName, pattern, parentRoute, options) {
 
   BaseRoute.apply(this, arguments);
 
+  // Private properties
+  utils.defineProps(this, false, {
+    /**
+     * Express layers that mount the sub-routes, by sub-route name
+     * @memberof SegmentRoute#
+     * @name _mountLayers
+     * @type {object}
+     * @readonly
+     * @private
+     */
+    mountLayers: {}
+  });
+
+  // Public properties
   utils.defineProps(this, true, {
     /**
      * Sub-routes attached to this segment
@@ -72,9 +96,17 @@ SegmentRoute.prototype.addSubRoutes = function (subRoutes) {
     );
 
     self._expressRouter.use(subRoute.pattern, function invokeRoute(req, res, next) {
+      if (!subRoute._matchesRequest(req)) {
+        return next();
+      }
+
       subRoute._invoke(req, res, next);
     });
+
+    self._mountLayers[subRoute.name] = _.last(self._expressRouter.stack);
   });
+
+  notifyTreeChange(this);
 };
 
 /**
@@ -82,4 +114,139 @@ SegmentRoute.prototype.addSubRoutes = function (subRoutes) {
  */
 SegmentRoute.prototype.addSubRoute = SegmentRoute.prototype.addSubRoutes;
 
+/**
+ * Remove sub route(s), so that they do not match requests anymore. Requests that are currently
+ * being dispatched are not affected. Use {@link Routicorn#unregisterRoute} to also remove a route
+ * from the route registry.
+ *
+ * @param {BaseRoute|BaseRoute[]|string|string[]} subRoutes Sub route(s) or names of sub routes to
+ *   remove
+ */
+SegmentRoute.prototype.removeSubRoutes = function (subRoutes) {
+  var self = this;
+
+  _.flatten([subRoutes]).forEach(function (subRoute) {
+    if (_.isString(subRoute)) {
+      subRoute = self.subRoutes[subRoute];
+      if (!subRoute) {
+        return;
+      }
+    }
+
+    if (!(subRoute instanceof BaseRoute)) {
+      thr('route must be a string or an instance of BaseRoute');
+    }
+
+    if (self.subRoutes[subRoute.name] !== subRoute) {
+      return;
+    }
+
+    debug('Removing sub-route "%s" from parent route "%s"', subRoute.name, self.name);
+
+    self._expressRouter.stack = _.without(self._expressRouter.stack, self._mountLayers[subRoute.name]);
+
+    delete self.subRoutes[subRoute.name];
+    delete self._mountLayers[subRoute.name];
+  });
+
+  notifyTreeChange(this);
+};
+
+/**
+ * @alias SegmentRoute#removeSubRoutes
+ */
+SegmentRoute.prototype.removeSubRoute = SegmentRoute.prototype.removeSubRoutes;
+
+/**
+ * Move a sub-route in front of another one, so that it is tried first when matching requests
+ *
+ * @protected
+ * @param {BaseRoute} subRoute Sub-route to move
+ * @param {BaseRoute} nextRoute Sub-route that should come after `subRoute`
+ */
+SegmentRoute.prototype._moveSubRouteBefore = function (subRoute, nextRoute) {
+  var self = this;
+  var layer = this._mountLayers[subRoute.name];
+  var nextLayer = this._mountLayers[nextRoute.name];
+
+  if (!layer || !nextLayer || subRoute === nextRoute) {
+    return;
+  }
+
+  var stack = _.without(this._expressRouter.stack, layer);
+  stack.splice(stack.indexOf(nextLayer), 0, layer);
+  this._expressRouter.stack = stack;
+
+  // Keep the order of the sub-routes hash in sync
+  var subRoutes = _.clone(this.subRoutes);
+  _.each(subRoutes, function (route, name) {
+    delete self.subRoutes[name];
+  });
+  _.each(subRoutes, function (route, name) {
+    if (route === nextRoute) {
+      self.subRoutes[subRoute.name] = subRoute;
+    }
+
+    if (route !== subRoute) {
+      self.subRoutes[name] = route;
+    }
+  });
+
+  notifyTreeChange(this);
+};
+
+/**
+ * Detach all sub-routes at once. The express router gets a new layer stack, so requests that are
+ * currently being dispatched finish on the old one. Returns a snapshot that can be passed to
+ * {@link SegmentRoute#_restoreSubRoutes}.
+ *
+ * @protected
+ * @returns {object} Snapshot
+ */
+SegmentRoute.prototype._detachSubRoutes = function () {
+  var self = this;
+  var stack = this._expressRouter.stack;
+  var mountLayers = _.values(this._mountLayers);
+  var snapshot = {
+    stack: stack,
+    subRoutes: _.clone(this.subRoutes),
+    mountLayers: _.clone(this._mountLayers)
+  };
+
+  this._expressRouter.stack = _.reject(stack, function (layer) {
+    return mountLayers.indexOf(layer) !== -1;
+  });
+
+  _.each(snapshot.subRoutes, function (subRoute, name) {
+    delete self.subRoutes[name];
+    delete self._mountLayers[name];
+  });
+
+  notifyTreeChange(this);
+
+  return snapshot;
+};
+
+/**
+ * Restore sub-routes previously detached with {@link SegmentRoute#_detachSubRoutes}. Sub-routes
+ * that have been added in the meantime are dropped.
+ *
+ * @protected
+ * @param {object} snapshot Snapshot
+ */
+SegmentRoute.prototype._restoreSubRoutes = function (snapshot) {
+  var self = this;
+
+  _.each(this.subRoutes, function (subRoute, name) {
+    delete self.subRoutes[name];
+    delete self._mountLayers[name];
+  });
+
+  _.extend(this.subRoutes, snapshot.subRoutes);
+  _.extend(this._mountLayers, snapshot.mountLayers);
+  this._expressRouter.stack = snapshot.stack;
+
+  notifyTreeChange(this);
+};
+
 module.exports = SegmentRoute;
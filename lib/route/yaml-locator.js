@@ -0,0 +1,159 @@
+'use strict';
+
+var KEY_REGEX = /^(["']?)([^"'#\s][^#]*?)\1\s*:(?:\s+(.*))?$/;
+var BLOCK_SCALAR_REGEX = /^[|>][+-]?\d*\s*(?:#.*)?$/;
+
+/**
+ * Get the lookup key of a node path
+ *
+ * @private
+ * @param {number} documentIndex
+ * @param {Array} nodePath
+ * @returns {string}
+ */
+function pathKey(documentIndex, nodePath) {
+  return JSON.stringify([documentIndex].concat(nodePath));
+}
+
+/**
+ * Create a function that looks up the line and column of a node in a YAML document. js-yaml does
+ * not expose node positions, so the source is scanned line by line. Only block mappings and block
+ * sequences are recognized, nodes inside flow collections resolve to the position of their
+ * closest block-style ancestor. Documents of multi-document sources are counted the way js-yaml
+ * does: Every `---` starts a new document, unless it is the first line of the current one.
+ *
+ * Usage: `createLocator(source)(['_users', 'routes', 'list_users', 'method'])`
+ *
+ * @private
+ * @param {string} source YAML source
+ * @returns {function} Function that takes a node path (array of keys and indexes) and optionally
+ *   the index of the document, and returns an object with the properties `line` and `column` (both
+ *   1-based) or `null`
+ */
+module.exports = function createLocator(source) {
+  var positions = {};
+  var stack = [];
+  var blockScalarIndent = -1;
+  var documentIndex = 0;
+  var documentStarted = false;
+
+  function top() {
+    return stack[stack.length - 1];
+  }
+
+  function addKey(key, value, indent, lineNo) {
+    var parent = top();
+    var nodePath = (parent ? parent.path : []).concat([key]);
+
+    positions[pathKey(documentIndex, nodePath)] = {
+      line: lineNo,
+      column: indent + 1
+    };
+
+    stack.push({
+      indent: indent,
+      isKey: true,
+      path: nodePath,
+      nextIndex: 0
+    });
+
+    if (value && BLOCK_SCALAR_REGEX.test(value)) {
+      blockScalarIndent = indent;
+    }
+  }
+
+  function addLine(text, indent, lineNo) {
+    var isItem = text === '-' || text.substr(0, 2) === '- ';
+    var parent;
+
+    while ((parent = top()) && parent.indent >= indent && !(isItem && parent.isKey && parent.indent === indent)) {
+      stack.pop();
+    }
+
+    if (isItem) {
+      parent = parent || {
+        path: [],
+        nextIndex: 0
+      };
+
+      var nodePath = parent.path.concat([parent.nextIndex++]);
+      positions[pathKey(documentIndex, nodePath)] = {
+        line: lineNo,
+        column: indent + 1
+      };
+
+      stack.push({
+        indent: indent,
+        isKey: false,
+        path: nodePath,
+        nextIndex: 0
+      });
+
+      // Compact nested mapping, like `- key: value`
+      var rest = text.substr(1).replace(/^\s+/, '');
+      if (rest) {
+        addLine(rest, indent + text.length - rest.length, lineNo);
+      }
+
+      return;
+    }
+
+    var match = KEY_REGEX.exec(text);
+    if (match) {
+      addKey(match[2], match[3], indent, lineNo);
+    }
+  }
+
+  String(source).split(/\r?\n/).forEach(function (line, idx) {
+    var text = line.replace(/^\s+/, '');
+    var indent = line.length - text.length;
+
+    if (!text) {
+      return;
+    }
+
+    if (blockScalarIndent !== -1) {
+      if (indent > blockScalarIndent) {
+        return;
+      }
+
+      blockScalarIndent = -1;
+    }
+
+    if (text.charAt(0) === '#') {
+      return;
+    }
+
+    if (text === '---' || text === '...') {
+      if (documentStarted) {
+        documentIndex++;
+      }
+
+      documentStarted = text === '---';
+      stack = [];
+
+      return;
+    }
+
+    documentStarted = true;
+    addLine(text, indent, idx + 1);
+  });
+
+  return function locate(nodePath, docIndex) {
+    var key;
+
+    nodePath = nodePath.slice();
+    docIndex = docIndex || 0;
+
+    while (nodePath.length > 0) {
+      key = pathKey(docIndex, nodePath);
+      if (positions[key]) {
+        return positions[key];
+      }
+
+      nodePath.pop();
+    }
+
+    return null;
+  };
+};
@@ -1,7 +1,11 @@
 'use strict';
 
 var _ = require('lodash');
+var fs = require('fs');
 var inherits = require('util').inherits;
+var format = require('util').format;
+var parseUrl = require('url').parse;
+var qs = require('qs');
 var debug = require('debug')('routicorn:router');
 var thr = require('format-throw');
 var shortid = require('shortid');
@@ -11,8 +15,23 @@ var BaseRoute = require('./route/base');
 var SegmentRoute = require('./route/segment');
 var RouteFactory = require('./route/factory');
 var ControllerFactory = require('./controller-factory');
+var Container = require('./container');
+var CompiledDispatcher = require('./compiled-dispatcher');
+var clientRoutes = require('./client-routes');
+var openApi = require('./openapi');
+var paramTypes = require('./param-types');
 var utils = require('./utils');
 
+/**
+ * @constant {number} DEFAULT_WATCH_INTERVAL
+ */
+var DEFAULT_WATCH_INTERVAL = 500;
+
+/**
+ * @constant {number} RELOAD_DELAY
+ */
+var RELOAD_DELAY = 50;
+
 /**
  * @private
  * @param {Routicorn} routicorn
@@ -59,6 +78,13 @@ function createMiddleware(routicorn) {
  *
  * Events:
  * - `route registered`: Emitted when a route is added. Listeners get passed the route instance.
+ * - `route unregistered`: Emitted when a route is removed. Listeners get passed the route instance.
+ * - `reload`: Emitted when the routes have been rebuilt. Listeners get passed the new routes.
+ * - `reload error`: Emitted when rebuilding the routes failed. Listeners get passed the error.
+ * - `tree changed`: Emitted when routes are attached to or detached from any route of the tree.
+ * - `deprecated route`: Emitted when a deprecated route is matched or its path is generated.
+ * Listeners get passed the route, the reason ("match" or "generate") and the request, if any.
+ * Sub-requests of `req.forward()` and redirects to the scheme of a route are not reported.
  *
  * @constructor
  * @extends SegmentRoute
@@ -75,6 +101,15 @@ function Routicorn(options) {
   // Every Routicorn instance gets its own short id, so that nesting Routicorn instances is possible
   SegmentRoute.call(this, '@routicorn-' + shortid.generate() + '@', '/', null, options);
 
+  var container = options.container || new Container();
+  if (!(container instanceof Container)) {
+    if (!_.isPlainObject(container)) {
+      thr(TypeError, 'options.container must be a Container or an object of services');
+    }
+
+    container = new Container(container);
+  }
+
   // Private properties
   var routeFactory;
   utils.defineProps(this, false, {
@@ -87,7 +122,7 @@ function Routicorn(options) {
      */
     routeFactory: function () {
       if (!routeFactory) {
-        routeFactory = new RouteFactory(this, new ControllerFactory(options.controllerBasePath));
+        routeFactory = new RouteFactory(this, new ControllerFactory(options.controllerBasePath, container));
       }
 
       return routeFactory;
@@ -100,11 +135,146 @@ function Routicorn(options) {
      * @readonly
      * @private
      */
-    routes: {}
+    routes: {},
+
+    /**
+     * Names of the routes by their aliases
+     * @memberof Routicorn#
+     * @name _aliases
+     * @type {object.<string, string>}
+     * @readonly
+     * @private
+     */
+    aliases: {},
+
+    /**
+     * Everything that has been passed to {@link Routicorn#loadRoutes}, in order
+     * @memberof Routicorn#
+     * @name _sources
+     * @type {Array}
+     * @readonly
+     * @private
+     */
+    sources: [],
+
+    /**
+     * Route events that are held back while a route is being replaced, see
+     * {@link Routicorn#replaceRoute}. `deferred` is `null` when events are emitted right away.
+     * @memberof Routicorn#
+     * @name _routeEvents
+     * @type {object}
+     * @readonly
+     * @private
+     */
+    routeEvents: {
+      deferred: null
+    },
+
+    /**
+     * File watcher state
+     * @memberof Routicorn#
+     * @name _watchState
+     * @type {object}
+     * @readonly
+     * @private
+     */
+    watchState: {
+      enabled: false,
+      interval: options.watchInterval || DEFAULT_WATCH_INTERVAL,
+      listeners: {},
+      timer: null
+    },
+
+    /**
+     * @memberof Routicorn#
+     * @name _defaultLocale
+     * @type {?string}
+     * @readonly
+     * @private
+     */
+    defaultLocale: options.defaultLocale || null,
+
+    /**
+     * Middleware factories, by name
+     * @memberof Routicorn#
+     * @name _middlewareFactories
+     * @type {object.<string, function>}
+     * @readonly
+     * @private
+     */
+    middlewareFactories: {},
+
+    /**
+     * Param converters, by name
+     * @memberof Routicorn#
+     * @name _converters
+     * @type {object.<string, function>}
+     * @readonly
+     * @private
+     */
+    converters: {},
+
+    /**
+     * Custom param types, by name
+     * @memberof Routicorn#
+     * @name _paramTypes
+     * @type {object.<string, object>}
+     * @readonly
+     * @private
+     */
+    paramTypes: _.mapValues(options.paramTypes || {}, function (definition, name) {
+      return paramTypes.create(name, definition);
+    }),
+
+    /**
+     * Request predicates, by name
+     * @memberof Routicorn#
+     * @name _predicates
+     * @type {object.<string, function>}
+     * @readonly
+     * @private
+     */
+    predicates: {},
+
+    /**
+     * Compiled table of the action routes, used by {@link Routicorn#match} and for dispatching
+     * requests if the `compiled` option is set
+     * @memberof Routicorn#
+     * @name _dispatcher
+     * @type {CompiledDispatcher}
+     * @readonly
+     * @private
+     */
+    dispatcher: new CompiledDispatcher(this),
+
+    /**
+     * @memberof Routicorn#
+     * @name _compiled
+     * @type {boolean}
+     * @readonly
+     * @private
+     */
+    compiled: !!options.compiled
+  });
+
+  _.each(options.middleware, function (factory, name) {
+    this.registerMiddleware(name, factory);
+  }, this);
+
+  this.on('tree changed', function () {
+    this._dispatcher.invalidate();
   });
 
   // Public properties
   utils.defineProps(this, true, {
+    /**
+     * Service container that resolves the dependencies of controllers
+     * @memberof Routicorn#
+     * @type {Container}
+     * @readonly
+     */
+    container: container,
+
     /**
      * @memberof Routicorn#
      * @type {object}
@@ -132,18 +302,54 @@ function Routicorn(options) {
     this.loadRoutes(options.routingFile);
   }
 
+  if (options.watch) {
+    this.watch();
+  }
+
   return createMiddleware(this);
 }
 
 inherits(Routicorn, SegmentRoute);
 
+/**
+ * @inheritdoc
+ */
+Routicorn.prototype._invoke = function (req, res, next) {
+  if (!this._compiled) {
+    return SegmentRoute.prototype._invoke.call(this, req, res, next);
+  }
+
+  debug('Dispatch compiled: %s', req.url);
+
+  this._dispatcher.dispatch(req, res, next);
+};
+
 /**
  * Load routes from a YAML file or route config objects
  *
  * @param {string|object} source Path to YAML file or an object with route configs
  * @returns {object.<string, BaseRoute>}
  */
-SegmentRoute.prototype.loadRoutes = function (source) {
+Routicorn.prototype.loadRoutes = function (source) {
+  this._sources.push(source);
+
+  try {
+    return this._createRoutes(source);
+  } finally {
+    if (this._watchState.enabled) {
+      this._watchFiles(this._routeFactory.getLoadedFiles(), false);
+    }
+  }
+};
+
+/**
+ * Create routes from a YAML file or route config objects
+ *
+ * @private
+ * @param {string|object} source Path to YAML file or an object with route configs
+ * @returns {object.<string, BaseRoute>}
+ */
+Routicorn.prototype._createRoutes = function (source) {
   if (_.isString(source)) {
     return this._routeFactory.createRoutesFromYmlFile(source, this);
   }
@@ -151,6 +357,150 @@ SegmentRoute.prototype.loadRoutes = function (source) {
   return this._routeFactory.createRoutesFromConfigs(source, this);
 };
 
+/**
+ * Rebuild the route tree from scratch, using everything that has been passed to
+ * {@link Routicorn#loadRoutes} so far. The new tree is swapped in at once: Requests that are
+ * currently being dispatched finish on the old tree. If rebuilding fails, the old tree stays
+ * active and a `reload error` event is emitted.
+ *
+ * Only routes loaded via {@link Routicorn#loadRoutes} are rebuilt. Middleware and param handlers
+ * attached to the router itself are kept.
+ *
+ * @returns {boolean} Whether the new route tree is active
+ */
+Routicorn.prototype.reload = function () {
+  var self = this;
+  var factory = this._routeFactory;
+  var previousFiles = factory.getLoadedFiles();
+  var previousRoutes = _.clone(this._routes);
+  var snapshot = this._detachSubRoutes();
+
+  debug('Reloading routes');
+
+  function clearRoutes() {
+    _.each(_.keys(self._routes), function (name) {
+      delete self._routes[name];
+    });
+    _.each(_.keys(self._aliases), function (alias) {
+      delete self._aliases[alias];
+    });
+  }
+
+  clearRoutes();
+  factory.resetLoadedFiles();
+
+  try {
+    this._sources.forEach(function (source) {
+      self._createRoutes(source);
+    });
+  } catch (e) {
+    debug('Reloading routes failed, keeping the previous route tree: %s', e.message);
+
+    clearRoutes();
+    _.extend(this._routes, previousRoutes);
+    _.each(previousRoutes, function (route) {
+      route.aliases.forEach(function (alias) {
+        self._aliases[alias] = route.name;
+      });
+    });
+    this._restoreSubRoutes(snapshot);
+
+    if (this._watchState.enabled) {
+      this._watchFiles(_.union(previousFiles, factory.getLoadedFiles()), true);
+    }
+
+    this.emit('reload error', e);
+
+    return false;
+  }
+
+  if (this._watchState.enabled) {
+    this._watchFiles(factory.getLoadedFiles(), true);
+  }
+
+  this.emit('reload', this._routes);
+
+  return true;
+};
+
+/**
+ * Watch the root routing files and every file pulled in via `resource:`. When one of them
+ * changes, the routes are rebuilt with {@link Routicorn#reload}.
+ */
+Routicorn.prototype.watch = function () {
+  this._watchState.enabled = true;
+  this._watchFiles(this._routeFactory.getLoadedFiles(), false);
+};
+
+/**
+ * Stop watching routing files
+ */
+Routicorn.prototype.unwatch = function () {
+  var watchState = this._watchState;
+
+  watchState.enabled = false;
+  this._watchFiles([], true);
+
+  if (watchState.timer) {
+    clearTimeout(watchState.timer);
+    watchState.timer = null;
+  }
+};
+
+/**
+ * Start watching files that are not yet being watched
+ *
+ * @private
+ * @param {string[]} files Absolute file paths
+ * @param {boolean} exclusive Stop watching files that are not in the list
+ */
+Routicorn.prototype._watchFiles = function (files, exclusive) {
+  var self = this;
+  var watchState = this._watchState;
+
+  function scheduleReload() {
+    if (watchState.timer) {
+      clearTimeout(watchState.timer);
+    }
+
+    // Editors tend to touch files multiple times when saving
+    watchState.timer = setTimeout(function () {
+      watchState.timer = null;
+      self.reload();
+    }, RELOAD_DELAY);
+  }
+
+  if (exclusive) {
+    _.each(watchState.listeners, function (listener, file) {
+      if (files.indexOf(file) === -1) {
+        debug('Stop watching routing file: %s', file);
+        fs.unwatchFile(file, listener);
+        delete watchState.listeners[file];
+      }
+    });
+  }
+
+  files.forEach(function (file) {
+    if (watchState.listeners[file]) {
+      return;
+    }
+
+    debug('Watch routing file: %s', file);
+
+    watchState.listeners[file] = function (curr, prev) {
+      if (curr.mtime.getTime() !== prev.mtime.getTime()) {
+        debug('Routing file changed: %s', file);
+        scheduleReload();
+      }
+    };
+
+    fs.watchFile(file, {
+      persistent: false,
+      interval: watchState.interval
+    }, watchState.listeners[file]);
+  });
+};
+
 /**
  * Register a route at the root scope of the router. Sub-routes should be added via
  * {@link BaseRoute#addSubRoute}.
@@ -158,6 +508,8 @@ SegmentRoute.prototype.loadRoutes = function (source) {
  * @param {BaseRoute} route Route instance
  */
 Routicorn.prototype.registerRoute = function (route) {
+  var self = this;
+
   if (route === this) {
     return;
   }
@@ -174,9 +526,169 @@ Routicorn.prototype.registerRoute = function (route) {
     thr('Cannot add route %s: A route with the same name already exists', route.name);
   }
 
-  utils.defineProp(this._routes, true, route.name, route);
+  if (this._aliases[route.name]) {
+    thr('Cannot add route %s: The name is an alias of route %s', route.name, this._aliases[route.name]);
+  }
+
+  route.aliases.forEach(function (alias) {
+    if (alias === route.name || self._routes[alias] || self._aliases[alias]) {
+      thr('Cannot add route %s: Alias %s is already taken', route.name, alias);
+    }
+  });
+
+  this._routes[route.name] = route;
+  route.aliases.forEach(function (alias) {
+    self._aliases[alias] = route.name;
+  });
+
+  this._emitRouteEvent('route registered', route);
+};
+
+/**
+ * Remove a route and all of its descendants from the router. The route does not match requests
+ * anymore, requests that are currently being dispatched are not affected. A `route unregistered`
+ * event is emitted for every removed route, descendants first.
+ *
+ * Routes removed this way come back when the routes are rebuilt by {@link Routicorn#reload}.
+ *
+ * @param {string|BaseRoute} route Route instance or route name
+ * @returns {BaseRoute} The removed route
+ */
+Routicorn.prototype.unregisterRoute = function (route) {
+  var self = this;
+
+  if (_.isString(route)) {
+    route = this.getRoute(route);
+  } else if (!(route instanceof BaseRoute)) {
+    thr(TypeError, 'route must be a string or an instance of BaseRoute');
+  }
+
+  if (route === this) {
+    thr('Cannot unregister the router itself');
+  }
+
+  if (route.parentRoute) {
+    route.parentRoute.removeSubRoute(route);
+  }
+
+  function unregister(removedRoute) {
+    _.each(removedRoute.subRoutes, unregister);
+
+    if (self._routes[removedRoute.name] === removedRoute) {
+      delete self._routes[removedRoute.name];
+      removedRoute.aliases.forEach(function (alias) {
+        delete self._aliases[alias];
+      });
+      debug('Unregistered route: %s', removedRoute.name);
+      self._emitRouteEvent('route unregistered', removedRoute);
+    }
+  }
+
+  unregister(route);
+
+  return route;
+};
+
+/**
+ * Replace a route with a new one created from a route config. The new route is attached to the
+ * same parent route at the same position. If the new route cannot be created, the old one is
+ * restored.
+ *
+ * The `route unregistered` events of the old routes and the `route registered` events of the new
+ * ones are emitted once the new route is in place. If it cannot be created, no events are emitted
+ * at all.
+ *
+ * Usage: `routicorn.replaceRoute('user_info', {pattern: '/info', controller: 'users.show'})`
+ *
+ * @param {string} routeName Name of the route to replace
+ * @param {object} routeConfig Route config, see {@link RouteFactory}
+ * @returns {BaseRoute} The new route
+ */
+Routicorn.prototype.replaceRoute = function (routeName, routeConfig) {
+  var self = this;
+
+  if (!_.isString(routeName)) {
+    thr(TypeError, 'routeName must be a string');
+  }
+
+  var oldRoute = this.getRoute(routeName);
+  routeName = oldRoute.name;
+  var parentRoute = oldRoute.parentRoute;
+  var siblings = _.values(parentRoute.subRoutes);
+  var nextRoute = siblings[siblings.indexOf(oldRoute) + 1];
+  var routeEvents = this._routeEvents;
+  var events = routeEvents.deferred = [];
+
+  var configs = {};
+  configs[routeName] = routeConfig;
+
+  var newRoute;
+
+  try {
+    this.unregisterRoute(oldRoute);
+
+    newRoute = this._routeFactory.createRoutesFromConfigs(configs, parentRoute)[routeName];
+  } catch (e) {
+    debug('Cannot replace route %s, restoring the old one: %s', routeName, e.message);
+
+    // Events of the clean up are held back, too, so take the old routes first
+    var removedRoutes = _.pluck(_.filter(events, {name: 'route unregistered'}), 'route');
+
+    // Clean up whatever has been created before the error occurred
+    _.filter(events, {name: 'route registered'}).forEach(function (event) {
+      if (self._routes[event.route.name] === event.route) {
+        self.unregisterRoute(event.route);
+      }
+    });
+
+    if (parentRoute.subRoutes[routeName] !== oldRoute) {
+      parentRoute.removeSubRoute(routeName);
+      parentRoute.addSubRoute(oldRoute);
+
+      if (nextRoute) {
+        parentRoute._moveSubRouteBefore(oldRoute, nextRoute);
+      }
+    }
+
+    // The old routes have never been gone as far as listeners are concerned
+    removedRoutes.reverse().forEach(function (route) {
+      self.registerRoute(route);
+    });
+
+    throw e;
+  } finally {
+    routeEvents.deferred = null;
+  }
+
+  if (nextRoute) {
+    parentRoute._moveSubRouteBefore(newRoute, nextRoute);
+  }
+
+  events.forEach(function (event) {
+    self.emit(event.name, event.route);
+  });
+
+  return newRoute;
+};
+
+/**
+ * Emit a `route registered` or `route unregistered` event, unless events are held back
+ *
+ * @private
+ * @param {string} name Event name
+ * @param {BaseRoute} route
+ */
+Routicorn.prototype._emitRouteEvent = function (name, route) {
+  if (this._routeEvents.deferred) {
+    this._routeEvents.deferred.push({
+      name: name,
+      route: route
+    });
 
-  this.emit('route registered', route);
+    return;
+  }
+
+  this.emit(name, route);
 };
 
 /**
@@ -202,13 +714,13 @@ Routicorn.prototype.getRoutes = function (tag, asArray) {
 };
 
 /**
- * Get a route by name
+ * Get a route by name or alias
  *
  * @param {string} routeName Route name
  * @returns {BaseRoute}
  */
 Routicorn.prototype.getRoute = function (routeName) {
-  var route = this._routes[routeName];
+  var route = this._lookupRoute(routeName);
 
   if (!route) {
     thr('Route does not exist: %s', routeName);
@@ -217,6 +729,65 @@ Routicorn.prototype.getRoute = function (routeName) {
   return route;
 };
 
+/**
+ * Get a route by name, like {@link Routicorn#getRoute}, but also resolve the names of localized
+ * routes. A route config with one pattern per locale, like `{en: '/about', de: '/ueber-uns'}`,
+ * creates one route variant per locale, named after the route and the locale: `about@en` and
+ * `about@de`. Routes below a localized route are localized the same way.
+ *
+ * If there is no route called `routeName`, the variant for `locale` is returned, falling back to
+ * the variant for the `defaultLocale` option.
+ *
+ * Routes loaded from a routing resource that has been imported with a `name_prefix` or
+ * `name_suffix` refer to the other routes of that resource by their unprefixed names. Pass such a
+ * route as `fromRoute` to look up the name in the scope of its imports first, from the innermost
+ * to the outermost one.
+ *
+ * Aliases of routes (see {@link BaseRoute#aliases}) are resolved like route names.
+ *
+ * @param {string} routeName Route name
+ * @param {string} [locale] Locale
+ * @param {BaseRoute} [fromRoute] Route whose name scopes apply
+ * @returns {BaseRoute}
+ */
+Routicorn.prototype.resolveRoute = function (routeName, locale, fromRoute) {
+  if (!_.isString(routeName)) {
+    thr(TypeError, 'routeName must be a string');
+  }
+
+  var self = this;
+  var defaultLocale = this._defaultLocale;
+  var nameScopes = fromRoute ? fromRoute._nameScopes : [];
+  var route = null;
+
+  function lookup(name) {
+    return self._lookupRoute(name) ||
+      (locale && self._lookupRoute(name + '@' + locale)) ||
+      (defaultLocale && self._lookupRoute(name + '@' + defaultLocale));
+  }
+
+  for (var depth = nameScopes.length; depth >= 0 && !route; depth--) {
+    route = lookup(BaseRoute.applyNameScopes(routeName, nameScopes.slice(0, depth)));
+  }
+
+  if (!route) {
+    thr('Route does not exist: %s%s', routeName, locale ? ' (locale "' + locale + '")' : '');
+  }
+
+  return route;
+};
+
+/**
+ * Look up a route by name, falling back to the route aliases
+ *
+ * @private
+ * @param {string} name Route name or alias
+ * @returns {?BaseRoute}
+ */
+Routicorn.prototype._lookupRoute = function (name) {
+  return this._routes[name] || this._routes[this._aliases[name]] || null;
+};
+
 /**
  * Determine if a route has been attached to this router (at any depth)
  *
@@ -236,8 +807,8 @@ Routicorn.prototype.hasRoute = function (route) {
 };
 
 /**
- * Generate a path for a named route. Shortcut for `routicorn.getRoute().generatePath()`. See
- * {@link BaseRoute#generatePath}
+ * Generate a path for a named route. Shortcut for `routicorn.resolveRoute().generatePath()`, the
+ * `_locale` param selects the variant of localized routes. See {@link BaseRoute#generatePath}
  *
  * Usage: `routicorn.generatePath(routeName, [params, [query, [options]]]);`
  *
@@ -248,16 +819,12 @@ Routicorn.prototype.hasRoute = function (route) {
  * @returns {string}
  */
 Routicorn.prototype.generatePath = function (routeName, params, query, options) {
-  if (!_.isString(routeName)) {
-    thr(TypeError, 'routeName must be a string');
-  }
-
-  return this.getRoute(routeName).generatePath(params, query, options);
+  return this.resolveRoute(routeName, params && params._locale).generatePath(params, query, options);
 };
 
 /**
- * Generate an absolute URL to a route. Shortcut for `routicorn.getRoute().generateUrl()`. See
- * {@link BaseRoute#generateUrl}
+ * Generate an absolute URL to a route. Shortcut for `routicorn.resolveRoute().generateUrl()`, the
+ * `_locale` param selects the variant of localized routes. See {@link BaseRoute#generateUrl}
  *
  * Usage: `routicorn.generateUrl(routeName, [params, [query, [options]]]);`
  *
@@ -268,11 +835,480 @@ Routicorn.prototype.generatePath = function (routeName, params, query, options)
  * @returns {string}
  */
 Routicorn.prototype.generateUrl = function (routeName, params, query, options) {
-  if (!_.isString(routeName)) {
-    thr(TypeError, 'routeName must be a string');
+  return this.resolveRoute(routeName, params && params._locale).generateUrl(params, query, options);
+};
+
+/**
+ * Register a middleware factory that route configs can refer to by name in their `middleware`
+ * list, like `middleware: [auth, {rate_limit: {max: 10}}]`. The factory gets passed the options of
+ * the list entry (an empty object if there are none) and returns a middleware function or an array
+ * of them. It is called once for every route that uses it. Middleware of a segment route applies
+ * to all of its sub-routes.
+ *
+ * Middleware used by routes of the `routingFile` option must be passed via the `middleware` option
+ * instead, as it is looked up when routes are created. Routes that name unknown middleware fail to
+ * load, with the position of the list entry in the error.
+ *
+ * Usage: `routicorn.registerMiddleware('json_body', function (options) { return bodyParser.json(options); })`
+ *
+ * @param {string} name Middleware name
+ * @param {function} factory Middleware factory
+ */
+Routicorn.prototype.registerMiddleware = function (name, factory) {
+  if (!_.isString(name)) {
+    thr(TypeError, 'name must be a string');
+  }
+
+  if (!_.isFunction(factory)) {
+    thr(TypeError, 'middleware factory must be a function');
   }
 
-  return this.getRoute(routeName).generateUrl(params, query, options);
+  if (this._middlewareFactories[name]) {
+    thr('Cannot register middleware %s: Middleware with the same name already exists', name);
+  }
+
+  this._middlewareFactories[name] = factory;
+
+  debug('Registered middleware: %s', name);
+};
+
+/**
+ * Create middleware using a registered middleware factory
+ *
+ * @param {string} name Middleware name
+ * @param {object} [options={}] Options passed to the factory
+ * @returns {function[]}
+ */
+Routicorn.prototype.getMiddleware = function (name, options) {
+  var factory = this._middlewareFactories[name];
+
+  if (!factory) {
+    thr('Middleware does not exist: %s', name);
+  }
+
+  var fns = _.flatten([factory(options || {})]);
+
+  fns.forEach(function (fn) {
+    if (!_.isFunction(fn)) {
+      thr(TypeError, 'Factory of middleware %s must return functions', name);
+    }
+  });
+
+  return fns;
+};
+
+/**
+ * Register a param converter that route configs can refer to in their `converters` map, like
+ * `converters: {username: user_by_name}`. A converter resolves a param value into an entity, like a
+ * database record, which is stored at `req.entities`. See {@link Request.entities}
+ *
+ * The converter gets passed the param value and the request. It either returns the entity, a
+ * promise or, if it accepts a third argument, passes the entity to a node-style callback. Requests
+ * fail with status 404 if the converter finds nothing (`null` or `undefined`). Entities are cached
+ * per request, so nested routes converting the same value call the converter only once.
+ *
+ * Usage: `routicorn.registerConverter('user_by_name', function (username, req) { return User.findOne(…); })`
+ *
+ * @param {string} name Converter name
+ * @param {function} fn Converter function
+ */
+Routicorn.prototype.registerConverter = function (name, fn) {
+  if (!_.isString(name)) {
+    thr(TypeError, 'name must be a string');
+  }
+
+  if (!_.isFunction(fn)) {
+    thr(TypeError, 'converter must be a function');
+  }
+
+  if (this._converters[name]) {
+    thr('Cannot register converter %s: A converter with the same name already exists', name);
+  }
+
+  this._converters[name] = fn;
+
+  debug('Registered converter: %s', name);
+};
+
+/**
+ * Get a param converter by name
+ *
+ * @param {string} name Converter name
+ * @returns {function}
+ */
+Routicorn.prototype.getConverter = function (name) {
+  var fn = this._converters[name];
+
+  if (!fn) {
+    thr('Converter does not exist: %s', name);
+  }
+
+  return fn;
+};
+
+/**
+ * Convert a param value using a registered converter
+ *
+ * @protected
+ * @param {string} name Converter name
+ * @param {string} param Param name, used for error messages
+ * @param {*} val Param value
+ * @param {object} req Request
+ * @param {function} callback Gets passed an error or the entity
+ */
+Routicorn.prototype._convertParam = function (name, param, val, req, callback) {
+  if (!req._convertedEntities) {
+    utils.defineProp(req, false, 'convertedEntities', {});
+  }
+
+  var cache = req._convertedEntities;
+  var cacheKey = name + ':' + val;
+  var done = _.once(function (err, entity) {
+    if (!err && (entity === null || entity === undefined)) {
+      err = thr.make('Not found: Converter %s found nothing for param %s = "%s"', name, param, '' + val);
+      err.status = 404;
+    }
+
+    if (!err) {
+      cache[cacheKey] = entity;
+    }
+
+    callback(err || null, entity);
+  });
+
+  if (_.has(cache, cacheKey)) {
+    debug('Use cached entity of converter %s for "%s"', name, val);
+    return callback(null, cache[cacheKey]);
+  }
+
+  var result;
+
+  try {
+    var converter = this.getConverter(name);
+
+    if (converter.length > 2) {
+      return converter(val, req, done);
+    }
+
+    result = converter(val, req);
+  } catch (e) {
+    return done(e);
+  }
+
+  if (utils.isPromise(result)) {
+    return result.then(function (entity) {
+      done(null, entity);
+    }, function (err) {
+      done(err || thr.make('Converter %s failed', name));
+    });
+  }
+
+  return done(null, result);
+};
+
+/**
+ * Register a custom param type that routes can refer to in their `types` map. Types that are used
+ * by routes of the `routingFile` option must be passed via the `paramTypes` option instead, as
+ * types are looked up when routes are created. See {@link ParamTypes} for the type definition.
+ *
+ * Usage: `routicorn.registerParamType('isbn', {pattern: '\\d{13}', parse: function (val) {…}})`
+ *
+ * @param {string} name Type name
+ * @param {object} definition Type definition
+ */
+Routicorn.prototype.registerParamType = function (name, definition) {
+  if (this._paramTypes[name]) {
+    thr('Cannot register param type %s: A param type with the same name already exists', name);
+  }
+
+  this._paramTypes[name] = paramTypes.create(name, definition);
+
+  debug('Registered param type: %s', name);
+};
+
+/**
+ * Get a param type by name, either a custom one or a built-in one: `int`, `float`, `uuid`, `slug`,
+ * `date` (`YYYY-MM-DD`, converted to a `Date`), `bool` and `enum(a|b|…)`.
+ *
+ * @param {string} name Type name
+ * @returns {object}
+ */
+Routicorn.prototype.getParamType = function (name) {
+  return this._paramTypes[name] || paramTypes.get(name);
+};
+
+/**
+ * Register a predicate that routes can refer to by name in the `predicates` list of their
+ * `conditions`. A predicate gets passed the request and returns whether the route matches it.
+ * Predicates may be registered after the routes that use them have been loaded.
+ *
+ * Usage: `routicorn.registerPredicate('is_admin', function (req) { return req.user.admin; })`
+ *
+ * @param {string} name Predicate name
+ * @param {function} fn Predicate function
+ */
+Routicorn.prototype.registerPredicate = function (name, fn) {
+  if (!_.isString(name)) {
+    thr(TypeError, 'name must be a string');
+  }
+
+  if (!_.isFunction(fn)) {
+    thr(TypeError, 'predicate must be a function');
+  }
+
+  if (this._predicates[name]) {
+    thr('Cannot register predicate %s: A predicate with the same name already exists', name);
+  }
+
+  this._predicates[name] = fn;
+
+  debug('Registered predicate: %s', name);
+};
+
+/**
+ * Get a predicate by name
+ *
+ * @param {string} name Predicate name
+ * @returns {function}
+ */
+Routicorn.prototype.getPredicate = function (name) {
+  var fn = this._predicates[name];
+
+  if (!fn) {
+    thr('Predicate does not exist: %s', name);
+  }
+
+  return fn;
+};
+
+/**
+ * Resolve a URL to an action route without dispatching a request. Paths are matched against the
+ * patterns just like express does, wildcards and optional characters included. Params are resolved
+ * the same way as when dispatching a request: Default values and static params are applied and all
+ * values are validated against the requirements. Param handlers and middleware are not invoked.
+ *
+ * If a route matches, the result has the properties `matched` (`true`), `route` (the
+ * {@link ActionRoute}), `params`, `parents` (segment routes from top to bottom, excluding the
+ * router), `format` (see {@link Request.format}) and `query` (parsed query string). Otherwise,
+ * `matched` is `false` and `reason` is an object with the properties `code` and `message`. Codes
+ * are:
+ *
+ * - `NOT_FOUND`: No route matches the path
+ * - `METHOD_NOT_ALLOWED`: Routes match the path, but none handles the method. `allowedMethods`
+ * lists the methods that would be handled.
+ * - `MISSING_PARAM`, `INVALID_PARAM`: A param does not satisfy the route config. `route` is the
+ * route that defines the param, `param` the name of the param.
+ * - `NOT_ACCEPTABLE`: The route does not support the requested format. `route` is the route.
+ * - `BAD_REQUEST`: The path cannot be decoded
+ *
+ * Routes with a host pattern only match absolute URLs with a matching hostname. Route conditions
+ * are checked against the `headers` option, predicates get passed a request-like object with the
+ * properties `method`, `url`, `hostname` and `headers`.
+ *
+ * Usage: `routicorn.match('GET', '/users/foo?tab=books', [options])`
+ *
+ * Options:
+ *
+ * - `headers`: {object} [{}] Request headers
+ *
+ * @param {string} verb HTTP method
+ * @param {string} url Absolute URL or path, may include a query string
+ * @param {object} [options={}] Options
+ * @returns {object}
+ */
+Routicorn.prototype.match = function (verb, url, options) {
+  if (!_.isString(verb)) {
+    thr(TypeError, 'verb must be a string');
+  }
+
+  if (!_.isString(url)) {
+    thr(TypeError, 'url must be a string');
+  }
+
+  options = options || {};
+
+  var dispatcher = this._dispatcher;
+  var parsedUrl = parseUrl(url);
+  var pathname = parsedUrl.pathname || '/';
+  var query = qs.parse(parsedUrl.query || '');
+  var result = null;
+
+  // Request-like object to check constraints that are not part of the path
+  var req = {
+    method: verb.toUpperCase(),
+    url: parsedUrl.path || pathname,
+    hostname: parsedUrl.hostname || undefined,
+    headers: _.transform(options.headers || {}, function (headers, value, name) {
+      headers[name.toLowerCase()] = value;
+    })
+  };
+
+  function fail(code, message, props) {
+    return {
+      matched: false,
+      reason: _.extend({
+        code: code,
+        message: message
+      }, props),
+      query: query
+    };
+  }
+
+  var allowedMethods = [];
+
+  try {
+    dispatcher.findRoutes(req, function (entry) {
+      if (entry.route._getActionNames(verb).length === 0) {
+        [].push.apply(allowedMethods, entry.route.verbs);
+        return false;
+      }
+
+      var params = null;
+      var extraParams = {};
+      var error = null;
+      var errorRoute = null;
+
+      // Like when dispatching a request, every route gets the params of the path and inherits the
+      // extra params of its parents
+      entry.chain.some(function (route) {
+        params = _.clone(entry.params);
+        route._inheritExtraParams(params, extraParams);
+
+        _.each(route._matchHost(req.hostname), function (val, param) {
+          params[param] = extraParams[param] = val;
+        });
+
+        error = route._resolveParams(params, extraParams);
+        errorRoute = route;
+        return !!error;
+      });
+
+      // Converted values and static params of all routes apply to the action route
+      _.extend(params, extraParams);
+
+      var responseFormat = error ? null : entry.route._negotiateFormat(req, params);
+
+      if (error) {
+        result = fail(error.code, error.message, {
+          route: errorRoute,
+          param: error.param
+        });
+      } else if (responseFormat === false) {
+        result = fail('NOT_ACCEPTABLE', format(
+          'Route %s supports the formats %s', entry.route.name, entry.route.getFormats().join(', ')
+        ), {
+          route: entry.route
+        });
+      } else {
+        if (responseFormat) {
+          params._format = responseFormat;
+        }
+
+        result = {
+          matched: true,
+          route: entry.route,
+          params: params,
+          parents: entry.chain.slice(1, -1),
+          format: responseFormat || undefined,
+          query: query
+        };
+      }
+
+      return true;
+    });
+  } catch (e) {
+    if (e.status !== 400) {
+      throw e;
+    }
+
+    return fail('BAD_REQUEST', e.message);
+  }
+
+  if (result) {
+    return result;
+  }
+
+  allowedMethods = _.unique(allowedMethods.map(function (allowedVerb) {
+    return allowedVerb.toUpperCase();
+  }));
+
+  if (allowedMethods.length > 0) {
+    return fail(
+      'METHOD_NOT_ALLOWED',
+      format('Method %s not allowed: %s', verb.toUpperCase(), pathname),
+      {
+        allowedMethods: allowedMethods
+      }
+    );
+  }
+
+  return fail('NOT_FOUND', format('No route matches: %s', pathname));
+};
+
+/**
+ * Export action routes as a standalone JavaScript module for browsers. The module exports the
+ * patterns, defaults and requirements of the routes as `routes` and a `generatePath(name, params,
+ * query)` function that generates paths just like {@link BaseRoute#generatePath}. Aliases are
+ * exported as well, but names are not resolved by locale: Use the full name of a localized route,
+ * like `about@de`. Custom param types are formatted with `String()` instead of their `format`
+ * function.
+ *
+ * ```javascript
+ * fs.writeFileSync('public/js/routes.js', routicorn.exportClientRoutes({tag: 'api'}));
+ * ```
+ *
+ * Options:
+ * - `tag`: {string} [undefined] Only export the routes with this tag, see {@link Routicorn#getRoutes}
+ * - `format`: {string} ["umd"] Module format, either "umd" or "esm"
+ * - `name`: {string} ["routicornRoutes"] Name of the browser global the UMD module defines
+ *
+ * @param {object} [options={}] Options
+ * @returns {string} Source code of the module
+ */
+Routicorn.prototype.exportClientRoutes = function (options) {
+  options = options || {};
+
+  var routes = this.getRoutes(options.tag, true).filter(function (route) {
+    return route.actionable;
+  });
+
+  debug('Export %d client routes', routes.length);
+
+  return clientRoutes.generate(routes, options);
+};
+
+/**
+ * Generate an OpenAPI 3 document of the action routes. Params become path parameters, with the
+ * requirements of a param as the `pattern` and its default as the `default` of the schema. A route
+ * with optional params gets one path for every combination of them being present or left out. The
+ * params of host patterns become variables of the servers of the operations. Route tags become
+ * operation tags. The `summary`, `description` and `responses` keys of route configs complete the
+ * operations:
+ *
+ * ```yaml
+ * user_info:
+ *   pattern: /users/:username
+ *   controller: users.show
+ *   summary: Get a user
+ *   responses:
+ *     200: The user
+ *     404: User does not exist
+ * ```
+ *
+ * Options:
+ * - `tag`: {string} [undefined] Only include the routes with this tag, see {@link Routicorn#getRoutes}
+ * - `info`: {object} [{title: "API", version: "1.0.0"}] Info object of the document
+ * - `servers`: {object[]} [undefined] Server objects of the document
+ *
+ * @param {object} [options={}] Options
+ * @returns {object} OpenAPI document
+ */
+Routicorn.prototype.toOpenAPI = function (options) {
+  options = options || {};
+
+  return openApi.generate(this.getRoutes(options.tag, true).filter(function (route) {
+    return route.actionable;
+  }), options);
 };
 
 /**
@@ -331,4 +1367,9 @@ Routicorn.SegmentRoute = require('./route/segment');
  */
 Routicorn.ActionRoute = require('./route/action');
 
+/**
+ * @class Container
+ */
+Routicorn.Container = Container;
+
 module.exports = Routicorn;
@@ -1,6 +1,7 @@
 'use strict';
 
 var _ = require('lodash');
+var thr = require('format-throw');
 var setPrototypeOf = require('setprototypeof');
 var mergeDescriptors = require('merge-descriptors');
 var MockRequest = require('readable-mock-req');
@@ -93,6 +94,74 @@ exports.restoreOriginalPrototype = function (obj) {
   }
 };
 
+/**
+ * Get the hostname of a request, without port. Uses express' `req.hostname` if available, which
+ * respects the "trust proxy" setting.
+ *
+ * @private
+ * @param {object} req
+ * @returns {string|undefined}
+ */
+exports.getHostname = function (req) {
+  if ('hostname' in req) {
+    return req.hostname;
+  }
+
+  var host = req.headers && req.headers.host;
+  if (!host) {
+    return undefined;
+  }
+
+  // IPv6 literals contain colons
+  var offset = host.charAt(0) === '[' ? host.indexOf(']') + 1 : 0;
+  var idx = host.indexOf(':', offset);
+
+  return idx !== -1 ? host.substring(0, idx) : host;
+};
+
+/**
+ * Get the scheme of a request, "http" or "https". Uses express' `req.protocol` if available, which
+ * respects the "trust proxy" setting.
+ *
+ * @private
+ * @param {object} req
+ * @returns {string}
+ */
+exports.getProtocol = function (req) {
+  if ('protocol' in req) {
+    return req.protocol;
+  }
+
+  return req.connection && req.connection.encrypted ? 'https' : 'http';
+};
+
+/**
+ * Determine if a value is a promise, or any other thenable
+ *
+ * @private
+ * @param {*} val
+ * @returns {boolean}
+ */
+var isPromise = exports.isPromise = function (val) {
+  return !!val && (typeof val === 'object' || typeof val === 'function') && _.isFunction(val.then);
+};
+
+/**
+ * Pass the rejection reason of a promise returned by a handler to its callback. Values that are not
+ * promises are ignored.
+ *
+ * @private
+ * @param {*} result Return value of a handler
+ * @param {function} next Callback
+ */
+exports.forwardRejection = function (result, next) {
+  if (isPromise(result)) {
+    result.then(null, function (reason) {
+      next(reason || thr.make('Promise rejected without a reason'));
+    });
+  }
+};
+
 /**
  * Create a sub-request object
  *
@@ -0,0 +1,115 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  number: {
+    pattern: '/number',
+    controller: 'promises.number',
+    method: 'get'
+  },
+  bool: {
+    pattern: '/bool',
+    controller: 'promises.bool',
+    method: 'get'
+  },
+  object: {
+    pattern: '/object',
+    controller: 'promises.object',
+    method: 'get'
+  },
+  reject: {
+    pattern: '/reject',
+    controller: 'promises.reject',
+    method: 'get'
+  },
+  reject_empty: {
+    pattern: '/reject-empty',
+    controller: 'promises.rejectEmpty',
+    method: 'get'
+  },
+  responded: {
+    pattern: '/responded',
+    controller: 'promises.responded',
+    method: 'get'
+  },
+  pass_on: {
+    pattern: '/pass-on',
+    controller: 'promises.passOn',
+    method: 'get'
+  },
+  pass_on_target: {
+    pattern: '/pass-on',
+    controller: 'trace.show',
+    method: 'get'
+  }
+};
+
+function request(url, callback) {
+  var router = helpers.createRouter();
+
+  router.instance.loadRoutes(ROUTES);
+
+  helpers.request(helpers.createApp(router), 'GET', url, callback);
+}
+
+describe('Actions', function () {
+  it('sends a resolved number as the body, not as the status code', function (done) {
+    request('/number', function (err, res) {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.equal('42');
+      done(err);
+    });
+  });
+
+  it('sends a resolved boolean as the body', function (done) {
+    request('/bool', function (err, res) {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.equal('false');
+      done(err);
+    });
+  });
+
+  it('sends a resolved object as JSON', function (done) {
+    request('/object', function (err, res) {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal({
+        id: 42
+      });
+      done(err);
+    });
+  });
+
+  it('passes a rejection on to next()', function (done) {
+    request('/reject', function (err, res) {
+      expect(res.status).to.equal(500);
+      expect(res.body).to.deep.equal(['error Action rejected']);
+      done(err);
+    });
+  });
+
+  it('passes an error on to next() if the action rejects without a reason', function (done) {
+    request('/reject-empty', function (err, res) {
+      expect(res.status).to.equal(500);
+      expect(res.body).to.deep.equal(['error Action rejectEmpty of route reject_empty rejected without a reason']);
+      done(err);
+    });
+  });
+
+  it('ignores the resolved value if the action has already responded', function (done) {
+    request('/responded', function (err, res) {
+      expect(res.status).to.equal(201);
+      expect(res.body).to.equal('responded');
+      done(err);
+    });
+  });
+
+  it('ignores the resolved value if the action has passed control on', function (done) {
+    request('/pass-on', function (err, res) {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal(['action pass_on_target /pass-on / {}']);
+      done(err);
+    });
+  });
+});
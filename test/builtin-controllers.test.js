@@ -0,0 +1,135 @@
+'use strict';
+
+var _ = require('lodash');
+var expect = require('chai').expect;
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+
+var ROUTES = {
+  about: {
+    pattern: '/about',
+    view: 'pages/about',
+    locals: {
+      title: 'About us'
+    }
+  },
+  gone: {
+    pattern: '/gone/:slug',
+    view: 'pages/about',
+    status: 410
+  },
+  legacy_about: {
+    pattern: '/about-us',
+    redirect: {
+      route: 'about',
+      keep_query: true
+    }
+  },
+  legacy_gone: {
+    pattern: '/removed/:slug',
+    redirect: {
+      route: 'gone',
+      status: 301
+    }
+  },
+  legacy_home: {
+    pattern: '/home',
+    redirect: {
+      route: 'gone',
+      params: {
+        slug: 'home'
+      },
+      status: 308
+    }
+  },
+  docs: {
+    pattern: '/docs',
+    redirect: {
+      url: 'https://docs.example.com/?lang=en',
+      keep_query: true,
+      status: 307
+    }
+  }
+};
+
+/**
+ * Template engine that replaces `%name%` with the local of the same name and appends the params
+ */
+function renderTemplate(filePath, locals, callback) {
+  fs.readFile(filePath, 'utf8', function (err, template) {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, template.replace(/%(\w+)%/g, function (match, name) {
+      return _.has(locals, name) ? locals[name] : '';
+    }) + JSON.stringify(locals.params));
+  });
+}
+
+function createApp() {
+  var router = helpers.createRouter();
+
+  router.instance.loadRoutes(ROUTES);
+
+  var app = helpers.createApp(router);
+
+  app.engine('tpl', renderTemplate);
+  app.set('views', path.join(helpers.FIXTURES_PATH, 'views'));
+  app.set('view engine', 'tpl');
+
+  return app;
+}
+
+describe('Built-in controllers', function () {
+  var app = createApp();
+
+  describe('view routes', function () {
+    it('render their template with the locals and the params', function (done) {
+      helpers.request(app, 'GET', '/about', function (err, res) {
+        expect(res.status).to.equal(200);
+        expect(res.body).to.equal('Page About us\n{}');
+        done(err);
+      });
+    });
+
+    it('respond with their status', function (done) {
+      helpers.request(app, 'GET', '/gone/summer-sale', function (err, res) {
+        expect(res.status).to.equal(410);
+        expect(res.body).to.equal('Page \n{"slug":"summer-sale"}');
+        done(err);
+      });
+    });
+
+    it('respond to GET and HEAD only', function (done) {
+      helpers.request(app, 'HEAD', '/about', function (headErr, head) {
+        expect(head.status).to.equal(200);
+        expect(head.body).to.equal('');
+
+        helpers.request(app, 'POST', '/about', function (err, post) {
+          expect(post.status).to.equal(405);
+          done(headErr || err);
+        });
+      });
+    });
+  });
+
+  describe('redirect routes', function () {
+    [
+      ['/about-us?ref=ad', 302, '/about?ref=ad'],
+      ['/removed/summer-sale?ref=ad', 301, '/gone/summer-sale'],
+      ['/home', 308, '/gone/home'],
+      ['/docs?page=2', 307, 'https://docs.example.com/?lang=en&page=2'],
+      ['/docs', 307, 'https://docs.example.com/?lang=en']
+    ].forEach(function (args) {
+      it('redirect ' + args[0] + ' to ' + args[2], function (done) {
+        helpers.request(app, 'GET', args[0], function (err, res) {
+          expect(res.status).to.equal(args[1]);
+          expect(res.headers.location).to.equal(args[2]);
+          done(err);
+        });
+      });
+    });
+  });
+});
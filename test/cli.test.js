@@ -0,0 +1,78 @@
+'use strict';
+
+var path = require('path');
+var format = require('util').format;
+var execFile = require('child_process').execFile;
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var cli = require('../lib/cli');
+
+var BIN = path.join(__dirname, '..', 'bin', 'routicorn');
+var CONTROLLERS_PATH = path.join(helpers.FIXTURES_PATH, 'controllers');
+
+function run(argv) {
+  var log = console.log;
+  var error = console.error;
+  var output = {
+    stdout: [],
+    stderr: []
+  };
+
+  console.log = function () {
+    output.stdout.push(format.apply(null, arguments));
+  };
+  console.error = function () {
+    output.stderr.push(format.apply(null, arguments));
+  };
+
+  try {
+    output.code = cli(['-c', CONTROLLERS_PATH].concat(argv));
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+
+  output.stdout = output.stdout.join('\n');
+  output.stderr = output.stderr.join('\n');
+
+  return output;
+}
+
+describe('Command line tool', function () {
+  describe('validate', function () {
+    it('reports the number of routes if all controllers and actions exist', function () {
+      var output = run(['validate', '-r', path.join(helpers.FIXTURES_PATH, 'routing', 'documents.yml')]);
+
+      expect(output.code).to.equal(0);
+      expect(output.stdout).to.match(/^Routes are valid: \d+ routes, \d+ action routes$/);
+    });
+
+    it('reports all missing controllers and actions at once', function () {
+      var output = run(['validate', '-r', path.join(helpers.FIXTURES_PATH, 'routing', 'missing-controllers.yml')]);
+
+      expect(output.code).to.equal(1);
+      expect(output.stderr.split('\n')).to.deep.equal([
+        'Missing controllers and actions:',
+        '  - Route missing_action: Controller trace is missing method missing',
+        '  - Route missing_controller: Cannot load controller missing: Cannot find module \'' +
+          path.join(CONTROLLERS_PATH, 'missing') + '\'',
+        '  - Route missing_verbs: Cannot load controller missing: Cannot find module \'' +
+          path.join(CONTROLLERS_PATH, 'missing') + '\''
+      ]);
+    });
+  });
+
+  it('exits with the exit code of the command', function (done) {
+    execFile(process.execPath, [
+      BIN,
+      'validate',
+      '-c', CONTROLLERS_PATH,
+      '-r', path.join(helpers.FIXTURES_PATH, 'routing', 'missing-controllers.yml')
+    ], function (err, stdout, stderr) {
+      expect(err).to.exist;
+      expect(err.code).to.equal(1);
+      expect(stderr).to.contain('Route missing_action');
+      done();
+    });
+  });
+});
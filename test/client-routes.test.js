@@ -0,0 +1,126 @@
+'use strict';
+
+var _ = require('lodash');
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  _users: {
+    pattern: '/users/:username',
+    routes: {
+      user_files: {
+        pattern: '/f.:_format?',
+        controller: 'trace.show',
+        method: 'get'
+      },
+      user_file: {
+        pattern: '/files/:name.:ext',
+        controller: 'trace.show',
+        method: 'get'
+      },
+      user_posts: {
+        pattern: '/posts/:year?/:page?',
+        controller: 'trace.show',
+        method: 'get',
+        types: {
+          year: 'int'
+        },
+        defaults: {
+          page: 1
+        }
+      },
+      user_feed: {
+        pattern: '/feed.:_format?',
+        controller: 'trace.show',
+        method: 'get',
+        defaults: {
+          _format: 'html'
+        }
+      },
+      user_day: {
+        pattern: '/days/:day',
+        controller: 'trace.show',
+        method: 'get',
+        types: {
+          day: 'date'
+        }
+      }
+    }
+  }
+};
+
+function loadRoutes() {
+  var router = helpers.createRouter().instance;
+
+  router.loadRoutes(ROUTES);
+
+  var source = router.exportClientRoutes();
+  var module = {
+    exports: {}
+  };
+
+  // When coverage is collected, the embedded runtime counts into the coverage of its module, which
+  // istanbul keeps in a global
+  var coverageVar = /__cov_\w+/.exec(source);
+  var coverage = coverageVar && _.find(global, function (val, key) {
+    return /^\$\$cov_\d+\$\$$/.test(key);
+  })[require.resolve('../lib/client-routes')];
+
+  /* eslint-disable no-new-func */
+  new Function('module', coverageVar ? coverageVar[0] : '_', source)(module, coverage);
+  /* eslint-enable no-new-func */
+
+  return {
+    router: router,
+    client: module.exports
+  };
+}
+
+describe('Client routes', function () {
+  var loaded = loadRoutes();
+
+  [
+    ['user_files', {username: 'bob', _format: 'json'}],
+    ['user_files', {username: 'bob'}],
+    ['user_file', {username: 'bob', name: 'cv', ext: 'pdf'}],
+    ['user_posts', {username: 'bob'}],
+    ['user_posts', {username: 'bob', year: 2015, page: 3}],
+    ['user_posts', {username: 'bob', year: 2015}, {sort: 'date', tags: ['a', 'b']}],
+    ['user_feed', {username: 'bob'}],
+    ['user_feed', {username: 'bob', _format: 'html'}],
+    ['user_feed', {username: 'bob', _format: 'rss'}, {filter: {since: '2015-01-01'}}],
+    ['user_day', {username: 'bob', day: new Date(Date.UTC(2015, 1, 28))}]
+  ].forEach(function (args) {
+    var params = args[1];
+    var query = args[2];
+
+    it('generates the same path as the route: ' + args[0] + ' ' + JSON.stringify(params), function () {
+      var expected = loaded.router.getRoute(args[0]).generatePath(params, query);
+
+      expect(loaded.client.generatePath(args[0], params, query)).to.equal(expected);
+    });
+  });
+
+  it('keeps the suffix of static segments', function () {
+    expect(loaded.client.generatePath('user_files', {
+      username: 'bob',
+      _format: 'json'
+    })).to.equal('/users/bob/f.json');
+  });
+
+  it('rejects missing params and values that fail a requirement', function () {
+    expect(function () {
+      loaded.client.generatePath('user_file', {
+        username: 'bob',
+        name: 'cv'
+      });
+    }).to.throw('missing param "ext"');
+
+    expect(function () {
+      loaded.client.generatePath('user_posts', {
+        username: 'bob',
+        year: 'last'
+      });
+    }).to.throw('does not pass requirement for param "year"');
+  });
+});
@@ -0,0 +1,300 @@
+'use strict';
+
+var _ = require('lodash');
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  _api: {
+    pattern: '/api/:version',
+    requirements: {
+      version: '^v\\d+$'
+    },
+    routes: {
+      _users: {
+        pattern: '/users',
+        routes: {
+          list_users: {
+            pattern: '/',
+            controller: 'trace.show',
+            method: 'get'
+          },
+          show_user: {
+            pattern: '/:id',
+            controller: 'trace.show',
+            methods: ['get', 'put']
+          }
+        }
+      },
+      files: {
+        pattern: '/files/*',
+        controller: 'trace.show',
+        method: 'get'
+      },
+      color: {
+        pattern: '/colou?r',
+        controller: 'trace.show',
+        method: 'get'
+      },
+      broken: {
+        pattern: '/broken',
+        controller: 'trace.fail',
+        method: 'get'
+      }
+    }
+  },
+  _shared: {
+    pattern: '/shared',
+    routes: {
+      shared_first: {
+        pattern: '/',
+        controller: 'trace.pass',
+        method: 'get'
+      },
+      shared_second: {
+        pattern: '/',
+        controller: 'trace.show',
+        method: 'get'
+      }
+    }
+  },
+  pass_first: {
+    pattern: '/pass',
+    controller: 'trace.pass',
+    method: 'get'
+  },
+  pass_second: {
+    pattern: '/pass',
+    controller: 'trace.show',
+    method: 'get'
+  }
+};
+
+function createApp(compiled) {
+  var router = helpers.createRouter({
+    compiled: compiled
+  });
+  var instance = router.instance;
+
+  instance.loadRoutes(ROUTES);
+
+  [instance].concat(instance.getRoutes(null, true)).forEach(function (route) {
+    route.use(function (req, res, next) {
+      helpers.trace(req, 'middleware ' + (route === instance ? 'router' : route.name));
+      next();
+    });
+  });
+
+  instance.getRoute('_api').param('version', function (req, res, next, val) {
+    helpers.trace(req, 'param version=' + val);
+    next();
+  });
+
+  instance.getRoute('show_user').param('id', function (req, res, next, val) {
+    helpers.trace(req, 'param id=' + val);
+    next();
+  });
+
+  return helpers.createApp(router);
+}
+
+function requestBoth(method, url, callback) {
+  helpers.request(createApp(false), method, url, function (err, nested) {
+    if (err) {
+      return callback(err);
+    }
+
+    helpers.request(createApp(true), method, url, function (compiledErr, compiled) {
+      callback(compiledErr, nested, compiled);
+    });
+  });
+}
+
+function findTrace(res, label) {
+  return _.find(res.body, function (entry) {
+    return entry.indexOf(label + ' ') === 0;
+  });
+}
+
+describe('CompiledDispatcher', function () {
+  describe('dispatches requests like the nested express routers', function () {
+    [
+      ['GET', '/api/v1/users'],
+      ['GET', '/api/v1/users/'],
+      ['HEAD', '/api/v1/users/42'],
+      ['OPTIONS', '/api/v1/users/42'],
+      ['GET', '/api/x1/users'],
+      ['GET', '/api/v2/files/docs/readme.txt'],
+      ['GET', '/api/v1/color'],
+      ['GET', '/api/v1/colour'],
+      ['GET', '/api/v1/broken'],
+      ['GET', '/shared'],
+      ['GET', '/pass'],
+      ['GET', '/']
+    ].forEach(function (request) {
+      it(request.join(' '), function (done) {
+        requestBoth(request[0], request[1], function (err, nested, compiled) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(compiled.status).to.equal(nested.status);
+          expect(compiled.headers.allow).to.equal(nested.headers.allow);
+          expect(compiled.body).to.deep.equal(nested.body);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('responds with the same status as the nested express routers', function () {
+    [
+      ['GET', '/api/v1/users/42'],
+      ['PUT', '/api/v1/users/42?x=1'],
+      ['DELETE', '/api/v1/users/42'],
+      ['GET', '/api/v1/users/42/books'],
+      ['GET', '/api/v1/unknown'],
+      ['GET', '/api/v1/colouur'],
+      ['GET', '/api/v1/users/%E0'],
+      ['POST', '/pass']
+    ].forEach(function (request) {
+      it(request.join(' '), function (done) {
+        requestBoth(request[0], request[1], function (err, nested, compiled) {
+          if (err) {
+            return done(err);
+          }
+
+          expect(compiled.status).to.equal(nested.status);
+          expect(compiled.headers.allow).to.equal(nested.headers.allow);
+          done();
+        });
+      });
+    });
+  });
+
+  it('does not enter segment routes when none of their actions matches', function (done) {
+    requestBoth('GET', '/api/v1/unknown', function (err, nested, compiled) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(compiled.status).to.equal(404);
+      expect(compiled.body).to.deep.equal(['middleware router  /api/v1/unknown {}']);
+      expect(findTrace(nested, 'middleware _api')).to.exist;
+      done();
+    });
+  });
+
+  it('enters the routes on the way to the matching action and rewrites req.url and req.baseUrl', function (done) {
+    requestBoth('GET', '/api/v1/users/42?x=1', function (err, nested, compiled) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(compiled.body).to.deep.equal([
+        'middleware router  /api/v1/users/42?x=1 {}',
+        'param version=v1 /api/v1 /users/42?x=1 {"version":"v1"}',
+        'middleware _api /api/v1 /users/42?x=1 {"version":"v1"}',
+        'middleware _users /api/v1/users /42?x=1 {"version":"v1"}',
+        'param id=42 /api/v1/users/42 /?x=1 {"version":"v1","id":"42"}',
+        'middleware show_user /api/v1/users/42 /?x=1 {"version":"v1","id":"42"}',
+        'action show_user /api/v1/users/42 /?x=1 {"version":"v1","id":"42"}'
+      ]);
+      expect(findTrace(nested, 'middleware list_users')).to.exist;
+      done();
+    });
+  });
+
+  it('enters the routes that the tried action routes share once', function (done) {
+    requestBoth('GET', '/shared', function (err, nested, compiled) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(compiled.body).to.deep.equal([
+        'middleware router  /shared {}',
+        'middleware _shared /shared / {}',
+        'middleware shared_first /shared / {}',
+        'pass shared_first /shared / {}',
+        'middleware shared_second /shared / {}',
+        'action shared_second /shared / {}'
+      ]);
+      done();
+    });
+  });
+
+  it('passes control on to the next route with next(\'route\')', function (done) {
+    requestBoth('GET', '/pass', function (err, nested, compiled) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(compiled.status).to.equal(200);
+      expect(findTrace(compiled, 'pass pass_first')).to.exist;
+      expect(findTrace(compiled, 'action pass_second')).to.exist;
+      done();
+    });
+  });
+
+  it('supports wildcards and optional characters in patterns', function (done) {
+    requestBoth('GET', '/api/v2/files/docs/readme.txt', function (err, nested, compiled) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(compiled.status).to.equal(200);
+      expect(findTrace(compiled, 'action files')).to.equal(
+        'action files /api/v2/files/docs/readme.txt / {"0":"docs/readme.txt","version":"v2"}'
+      );
+      done();
+    });
+  });
+
+  it('fails with a 400 if a param cannot be decoded', function (done) {
+    requestBoth('GET', '/api/v1/users/%E0', function (err, nested, compiled) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(compiled.status).to.equal(400);
+      expect(_.last(compiled.body)).to.equal('error Failed to decode param \'%E0\'');
+      done();
+    });
+  });
+
+  it('responds with 405 if only other methods are handled', function (done) {
+    requestBoth('DELETE', '/api/v1/users/42', function (err, nested, compiled) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(compiled.status).to.equal(405);
+      expect(compiled.headers.allow).to.equal('GET, PUT');
+      done();
+    });
+  });
+
+  it('compiles the route tree again after it has changed', function (done) {
+    var router = helpers.createRouter({
+      compiled: true
+    });
+    var app = helpers.createApp(router);
+
+    router.instance.loadRoutes(ROUTES);
+
+    helpers.request(app, 'GET', '/api/v1/color', function (err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(res.status).to.equal(200);
+
+      router.instance.unregisterRoute('color');
+
+      helpers.request(app, 'GET', '/api/v1/color', function (secondErr, secondRes) {
+        expect(secondRes.status).to.equal(404);
+        done(secondErr);
+      });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+var _ = require('lodash');
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  github_hook: {
+    pattern: '/hooks',
+    controller: 'trace.show',
+    method: 'post',
+    conditions: {
+      headers: {
+        'X-GitHub-Event': true
+      },
+      content_type: 'json'
+    }
+  },
+  signed_hook: {
+    pattern: '/hooks',
+    controller: 'trace.show',
+    method: 'post',
+    conditions: {
+      headers: {
+        'X-Signature': '/sha1=[0-9a-f]+/'
+      }
+    }
+  },
+  other_hook: {
+    pattern: '/hooks',
+    controller: 'trace.show',
+    method: 'post'
+  },
+  api_v2: {
+    pattern: '/api',
+    controller: 'trace.show',
+    method: 'get',
+    conditions: {
+      headers: {
+        'X-Version': 2
+      }
+    }
+  },
+  api_public: {
+    pattern: '/api',
+    controller: 'trace.show',
+    method: 'get',
+    conditions: {
+      headers: {
+        Authorization: false
+      }
+    }
+  },
+  report_json: {
+    pattern: '/report',
+    controller: 'trace.show',
+    method: 'get',
+    conditions: {
+      accept: 'json'
+    }
+  },
+  report_csv: {
+    pattern: '/report',
+    controller: 'trace.show',
+    method: 'get',
+    conditions: {
+      accept: 'text/csv'
+    }
+  },
+  _admin: {
+    pattern: '/admin',
+    conditions: {
+      predicates: ['is_admin']
+    },
+    routes: {
+      admin_home: {
+        pattern: '/',
+        controller: 'trace.show',
+        method: 'get'
+      }
+    }
+  },
+  admin_login: {
+    pattern: '/admin',
+    controller: 'trace.show',
+    method: 'get'
+  }
+};
+
+function createApp(compiled) {
+  var router = helpers.createRouter({
+    compiled: compiled
+  });
+
+  router.instance.loadRoutes(ROUTES);
+
+  // Predicates may be registered after the routes that use them
+  router.instance.registerPredicate('is_admin', function (req) {
+    return req.get('X-Role') === 'admin';
+  });
+
+  return helpers.createApp(router);
+}
+
+describe('Conditions', function () {
+  it('fail to register predicates without a function or twice', function () {
+    var router = helpers.createRouter().instance;
+
+    expect(function () {
+      router.registerPredicate('is_admin', true);
+    }).to.throw(TypeError, 'predicate must be a function');
+
+    router.registerPredicate('is_admin', function () {
+      return true;
+    });
+
+    expect(function () {
+      router.registerPredicate('is_admin', function () {});
+    }).to.throw('A predicate with the same name already exists');
+  });
+
+  [false, true].forEach(function (compiled) {
+    describe(compiled ? 'compiled' : 'nested', function () {
+      var app = createApp(compiled);
+
+      [
+        ['POST', '/hooks', {'X-GitHub-Event': 'push', 'Content-Type': 'application/json'}, 'github_hook'],
+        ['POST', '/hooks', {'X-GitHub-Event': 'push', 'Content-Type': 'text/plain'}, 'other_hook'],
+        ['POST', '/hooks', {'X-Signature': 'sha1=0a1b'}, 'signed_hook'],
+        ['POST', '/hooks', {'X-Signature': 'md5=0a1b'}, 'other_hook'],
+        ['POST', '/hooks', {'X-Signature': 'sha1=0a1b; sha1=0a1b'}, 'other_hook'],
+        ['GET', '/api', {'X-Version': '2', Authorization: 'Bearer 1'}, 'api_v2'],
+        ['GET', '/api', {'X-Version': '2.1'}, 'api_public'],
+        ['GET', '/api', {Authorization: 'Bearer 1'}, null],
+        ['GET', '/report', {Accept: 'application/json'}, 'report_json'],
+        ['GET', '/report', {Accept: 'text/csv, application/json;q=0.5'}, 'report_json'],
+        ['GET', '/report', {Accept: 'text/csv'}, 'report_csv'],
+        ['GET', '/report', {Accept: 'text/html'}, null],
+        ['GET', '/admin', {'X-Role': 'admin'}, 'admin_home'],
+        ['GET', '/admin', {'X-Role': 'editor'}, 'admin_login']
+      ].forEach(function (args) {
+        var title = args[0] + ' ' + args[1] + ' ' + JSON.stringify(args[2]);
+
+        it('route ' + title + ' to ' + (args[3] || 'no route'), function (done) {
+          // Requests need a body to have a content type
+          var headers = args[2]['Content-Type'] ? _.extend({'Transfer-Encoding': 'chunked'}, args[2]) : args[2];
+
+          helpers.request(app, args[0], args[1], headers, function (err, res) {
+            if (args[3]) {
+              expect(res.status).to.equal(200);
+              expect(res.body[0].split(' ')[1]).to.equal(args[3]);
+            } else {
+              expect(res.status).to.equal(404);
+            }
+
+            done(err);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+var expect = require('chai').expect;
+var path = require('path');
+var configSchema = require('../lib/route/config-schema');
+var BaseRoute = require('../lib/route/base');
+var helpers = require('./helpers');
+
+var ROUTING_PATH = path.join(helpers.FIXTURES_PATH, 'routing');
+
+function loadRoutes(file) {
+  var router = helpers.createRouter().instance;
+
+  router.loadRoutes(path.join(ROUTING_PATH, file));
+
+  return router;
+}
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+
+  throw new Error('Expected an error');
+}
+
+describe('Config schema', function () {
+  describe('validate()', function () {
+    it('accepts valid route configs', function () {
+      expect(configSchema.validate({
+        _users: {
+          pattern: '/users/:id',
+          requirements: {
+            id: '\\d+'
+          },
+          routes: {
+            show_user: {
+              pattern: '/',
+              controller: 'users.show',
+              methods: ['get', 'head']
+            }
+          }
+        }
+      })).to.deep.equal([]);
+    });
+
+    it('reports every problem with the path of the node', function () {
+      expect(configSchema.validate({
+        home: {
+          pattern: 42,
+          controller: 'main.index',
+          methods: ['get', 'fetch'],
+          tags: 'home'
+        },
+        'bad name': {
+          pattern: '/'
+        }
+      })).to.deep.equal([
+        {path: ['home', 'pattern'], message: 'Expected a string, got a number'},
+        {path: ['home', 'methods', 1], message: 'Unknown HTTP method "fetch"'},
+        {path: ['bad name'], message: 'Bad route name "bad name": Name must match ' + BaseRoute.NAME_REGEX},
+        {path: ['bad name'], message: 'Route must define one of: controller, redirect, view, resource, routes'}
+      ]);
+    });
+
+    it('suggests known keys for misspelled ones', function () {
+      var problems = configSchema.validate({
+        home: {
+          patern: '/',
+          Controller: 'main.index'
+        }
+      });
+
+      expect(problems[0]).to.deep.equal({
+        path: ['home', 'patern'],
+        message: 'Unknown key "patern" (did you mean "pattern"?)'
+      });
+      expect(problems[1].message).to.equal('Unknown key "Controller" (did you mean "controller"?)');
+    });
+
+    it('does not suggest keys that are too different', function () {
+      var problems = configSchema.validate({
+        home: {
+          controller: 'main.index',
+          colour: 'red'
+        }
+      });
+
+      expect(problems).to.deep.equal([
+        {path: ['home', 'colour'], message: 'Unknown key "colour"'}
+      ]);
+    });
+
+    it('validates the routes of segment routes', function () {
+      expect(configSchema.validate({
+        _users: {
+          pattern: '/users',
+          routes: {
+            list_users: {
+              controller: 'users.list',
+              schemes: ['gopher']
+            }
+          }
+        }
+      })).to.deep.equal([
+        {path: ['_users', 'routes', 'list_users', 'schemes', 0], message: 'Unsupported scheme "gopher"'}
+      ]);
+    });
+
+    it('rejects configs that are no mapping', function () {
+      expect(configSchema.validate(['home'])[0].message).to.equal(
+        'Expected a mapping of route names to route configs, got a list'
+      );
+    });
+  });
+
+  describe('routing files', function () {
+    it('report the file, line and column of nested keys and list items', function () {
+      var file = path.join(ROUTING_PATH, 'invalid-nested.yml');
+      var error = catchError(function () {
+        loadRoutes('invalid-nested.yml');
+      });
+
+      expect(error.message).to.equal([
+        'Invalid routing configuration in ' + file + ':',
+        '  - ' + file + ':7:7 _users.routes.list_users.controler: Unknown key "controler" (did you mean "controller"?)',
+        '  - ' + file + ':5:5 _users.routes.list_users: Route must define one of: controller, redirect, view, ' +
+        'resource, routes',
+        '  - ' + file + ':14:9 _users.routes.show_user.methods[1]: Unknown HTTP method "fetch"'
+      ].join('\n'));
+      expect(error.problems[2]).to.deep.equal({
+        path: ['_users', 'routes', 'show_user', 'methods', 1],
+        message: 'Unknown HTTP method "fetch"',
+        file: file,
+        line: 14,
+        column: 9
+      });
+    });
+
+    it('report the line and column in multi-document files', function () {
+      var file = path.join(ROUTING_PATH, 'invalid-documents.yml');
+      var error = catchError(function () {
+        loadRoutes('invalid-documents.yml');
+      });
+
+      expect(error.message).to.equal([
+        'Invalid routing configuration in ' + file + ':',
+        '  - ' + file + ':12:5 about.tags[1]: Expected a string, got a number'
+      ].join('\n'));
+    });
+
+    it('load the routes of all documents', function () {
+      expect(loadRoutes('documents.yml').getRoutes()).to.have.keys(['home', 'about', 'contact']);
+    });
+
+    it('must not define a route in more than one document', function () {
+      var file = path.join(ROUTING_PATH, 'duplicate-documents.yml');
+
+      expect(catchError(function () {
+        loadRoutes('duplicate-documents.yml');
+      }).message).to.equal([
+        'Invalid routing configuration in ' + file + ':',
+        '  - ' + file + ':5:1 home: Route is already defined in a previous document'
+      ].join('\n'));
+    });
+  });
+});
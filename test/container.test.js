@@ -0,0 +1,197 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var Container = require('../lib/container');
+
+var ROUTES = {
+  greeting: {
+    pattern: '/greeting',
+    controller: 'greeting.show',
+    method: 'get'
+  },
+  visitor_count: {
+    pattern: '/visitor',
+    controller: 'visitor.count',
+    method: 'get'
+  },
+  visitor_show: {
+    pattern: '/visitor',
+    controller: 'visitor.show',
+    method: 'get'
+  }
+};
+
+describe('Container', function () {
+  describe('resolving services', function () {
+    var container;
+    var created;
+
+    beforeEach(function () {
+      created = [];
+      container = new Container({
+        greeting: 'Hello'
+      });
+
+      container.factory('message', function (greeting, name) {
+        created.push('message');
+        return greeting + ', ' + name;
+      }, {
+        inject: ['greeting', 'name']
+      });
+
+      container.factory('name', function (req) {
+        created.push('name');
+        return req.name;
+      }, {
+        inject: ['req'],
+        scope: 'request'
+      });
+
+      container.factory('counter', function () {
+        created.push('counter');
+        return {count: 0};
+      });
+    });
+
+    it('returns plain values', function () {
+      expect(container.get('greeting')).to.equal('Hello');
+    });
+
+    it('creates singletons once', function () {
+      expect(container.get('counter')).to.equal(container.get('counter'));
+      expect(created).to.deep.equal(['counter']);
+    });
+
+    it('creates request-scoped services once per request', function () {
+      var req = {name: 'Bob'};
+      var otherReq = {name: 'Alice'};
+      var subReq = {name: 'Sub', originalReq: req};
+
+      expect(container.get('name', req)).to.equal('Bob');
+      expect(container.get('name', req)).to.equal('Bob');
+      expect(container.get('name', subReq)).to.equal('Bob');
+      expect(container.get('name', otherReq)).to.equal('Alice');
+      expect(created).to.deep.equal(['name', 'name']);
+    });
+
+    it('passes injected services to constructors', function () {
+      function Greeter(greeting, counter) {
+        this.greeting = greeting;
+        this.counter = counter;
+      }
+
+      Greeter.inject = ['greeting', 'counter'];
+
+      var greeter = container.instantiate(Greeter);
+
+      expect(greeter).to.be.an.instanceof(Greeter);
+      expect(greeter.greeting).to.equal('Hello');
+      expect(greeter.counter).to.equal(container.get('counter'));
+    });
+
+    it('fails for unknown services', function () {
+      expect(function () {
+        container.get('mailer');
+      }).to.throw('Service does not exist: mailer');
+
+      function Mailer() {}
+
+      Mailer.inject = ['greeting', 'transport'];
+
+      expect(function () {
+        container.instantiate(Mailer);
+      }).to.throw('Service does not exist: Mailer → transport');
+    });
+
+    it('fails for request-scoped services outside of request scope', function () {
+      expect(function () {
+        container.get('req');
+      }).to.throw('Cannot inject the request outside of request scope: req');
+
+      expect(function () {
+        container.get('name');
+      }).to.throw('Cannot get request-scoped service outside of request scope: name');
+
+      // Singletons are created without a request
+      expect(function () {
+        container.get('message', {name: 'Bob'});
+      }).to.throw('Cannot get request-scoped service outside of request scope: message → name');
+    });
+
+    it('fails for circular dependencies', function () {
+      container.factory('chicken', function () {}, {inject: ['egg']});
+      container.factory('egg', function () {}, {inject: ['chicken']});
+
+      expect(function () {
+        container.get('chicken');
+      }).to.throw('Circular dependency: chicken → egg → chicken');
+    });
+
+    it('fails to register invalid services', function () {
+      expect(function () {
+        container.register('greeting', 'Hi');
+      }).to.throw('A service with the same name already exists');
+
+      expect(function () {
+        container.register('req', {});
+      }).to.throw('The name is reserved for the current request');
+
+      expect(function () {
+        container.factory('mailer', {});
+      }).to.throw(TypeError, 'factory must be a function');
+
+      expect(function () {
+        container.factory('mailer', function () {}, {scope: 'session'});
+      }).to.throw('Unknown scope "session" of service mailer, expected one of: singleton, request');
+    });
+  });
+
+  describe('controllers', function () {
+    var app;
+    var visitors;
+
+    before(function () {
+      var router = helpers.createRouter({
+        container: {
+          greeting: 'Hello'
+        }
+      });
+
+      visitors = 0;
+      router.instance.container.factory('visitor', function (req) {
+        visitors++;
+        return req.get('X-Visitor');
+      }, {
+        inject: ['req'],
+        scope: 'request'
+      });
+
+      router.instance.loadRoutes(ROUTES);
+      app = helpers.createApp(router);
+    });
+
+    it('are singletons by default', function (done) {
+      helpers.request(app, 'GET', '/greeting', function (firstErr, first) {
+        expect(first.body).to.deep.equal({greeting: 'Hello', hits: 1});
+
+        helpers.request(app, 'GET', '/greeting', function (err, second) {
+          expect(second.body).to.deep.equal({greeting: 'Hello', hits: 2});
+          done(firstErr || err);
+        });
+      });
+    });
+
+    it('are created for every request in request scope', function (done) {
+      helpers.request(app, 'GET', '/visitor?first', {'X-Visitor': 'Bob'}, function (firstErr, first) {
+        expect(first.body).to.deep.equal({url: '/visitor?first', visitor: 'Bob', hits: 2});
+
+        helpers.request(app, 'GET', '/visitor?second', {'X-Visitor': 'Alice'}, function (err, second) {
+          expect(second.body).to.deep.equal({url: '/visitor?second', visitor: 'Alice', hits: 2});
+          expect(visitors).to.equal(2);
+          done(firstErr || err);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var USERS = {
+  bob: {name: 'Bob'}
+};
+
+var POSTS = {
+  1: {title: 'Hello'}
+};
+
+var ROUTES = {
+  _users: {
+    pattern: '/users/:username',
+    converters: {
+      username: 'user_by_name'
+    },
+    routes: {
+      user_show: {
+        pattern: '/',
+        controller: 'trace.entities',
+        method: 'get'
+      },
+      user_post: {
+        pattern: '/posts/:post',
+        controller: 'trace.entities',
+        method: 'get',
+        converters: {
+          post: {
+            converter: 'post_by_id',
+            property: 'article'
+          }
+        }
+      },
+      user_profile: {
+        pattern: '/profile/:username2',
+        controller: 'trace.entities',
+        method: 'get',
+        converters: {
+          username2: {
+            converter: 'user_by_name',
+            property: 'profile'
+          }
+        }
+      }
+    }
+  },
+  broken: {
+    pattern: '/broken/:id',
+    controller: 'trace.entities',
+    method: 'get',
+    converters: {
+      id: 'broken'
+    }
+  },
+  failing: {
+    pattern: '/failing/:id',
+    controller: 'trace.entities',
+    method: 'get',
+    converters: {
+      id: 'failing'
+    }
+  }
+};
+
+function createApp(compiled, calls) {
+  var router = helpers.createRouter({
+    compiled: compiled
+  });
+
+  router.instance.registerConverter('user_by_name', function (username, req, callback) {
+    calls.push('user_by_name ' + username);
+    setImmediate(function () {
+      callback(null, USERS[username]);
+    });
+  });
+
+  router.instance.registerConverter('post_by_id', function (id) {
+    calls.push('post_by_id ' + id);
+    return Promise.resolve(POSTS[id]);
+  });
+
+  router.instance.registerConverter('broken', function () {
+    throw new Error('Converter broke');
+  });
+
+  router.instance.registerConverter('failing', function () {
+    return Promise.reject(new Error('Converter failed'));
+  });
+
+  router.instance.loadRoutes(ROUTES);
+
+  return helpers.createApp(router);
+}
+
+describe('Converters', function () {
+  it('fail to register without a function or twice', function () {
+    var router = helpers.createRouter().instance;
+
+    expect(function () {
+      router.registerConverter('user_by_name', 'User');
+    }).to.throw(TypeError, 'converter must be a function');
+
+    router.registerConverter('user_by_name', function () {});
+
+    expect(function () {
+      router.registerConverter('user_by_name', function () {});
+    }).to.throw('A converter with the same name already exists');
+
+    expect(function () {
+      router.getConverter('post_by_id');
+    }).to.throw('Converter does not exist: post_by_id');
+  });
+
+  [false, true].forEach(function (compiled) {
+    describe(compiled ? 'compiled' : 'nested', function () {
+      var calls;
+
+      beforeEach(function () {
+        calls = [];
+      });
+
+      it('store entities by param name', function (done) {
+        helpers.request(createApp(compiled, calls), 'GET', '/users/bob', function (err, res) {
+          expect(res.status).to.equal(200);
+          expect(res.body).to.deep.equal({username: {name: 'Bob'}});
+          expect(calls).to.deep.equal(['user_by_name bob']);
+          done(err);
+        });
+      });
+
+      it('store entities of promise converters at their property', function (done) {
+        helpers.request(createApp(compiled, calls), 'GET', '/users/bob/posts/1', function (err, res) {
+          expect(res.status).to.equal(200);
+          expect(res.body).to.deep.equal({
+            username: {name: 'Bob'},
+            article: {title: 'Hello'}
+          });
+          done(err);
+        });
+      });
+
+      it('convert a value once per request', function (done) {
+        helpers.request(createApp(compiled, calls), 'GET', '/users/bob/profile/bob', function (err, res) {
+          expect(res.body).to.deep.equal({
+            username: {name: 'Bob'},
+            profile: {name: 'Bob'}
+          });
+          expect(calls).to.deep.equal(['user_by_name bob']);
+          done(err);
+        });
+      });
+
+      it('respond with 404 if a converter finds nothing', function (done) {
+        helpers.request(createApp(compiled, calls), 'GET', '/users/bob/posts/2', function (err, res) {
+          expect(res.status).to.equal(404);
+          expect(res.body).to.deep.equal([
+            'error Not found: Converter post_by_id found nothing for param post = "2"'
+          ]);
+          done(err);
+        });
+      });
+
+      it('pass converter errors on', function (done) {
+        var app = createApp(compiled, calls);
+
+        helpers.request(app, 'GET', '/broken/1', function (brokenErr, broken) {
+          expect(broken.status).to.equal(500);
+          expect(broken.body).to.deep.equal(['error Converter broke']);
+
+          helpers.request(app, 'GET', '/failing/1', function (err, failing) {
+            expect(failing.status).to.equal(500);
+            expect(failing.body).to.deep.equal(['error Converter failed']);
+            done(brokenErr || err);
+          });
+        });
+      });
+    });
+  });
+});
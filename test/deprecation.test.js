@@ -0,0 +1,87 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  _legacy: {
+    pattern: '/legacy',
+    routes: {
+      old_page: {
+        pattern: '/old',
+        controller: 'trace.show',
+        deprecated: 'Use new_page instead'
+      }
+    }
+  },
+  secure_page: {
+    pattern: '/secure',
+    controller: 'trace.show',
+    schemes: 'https',
+    deprecated: true
+  },
+  forward_page: {
+    pattern: '/forward',
+    controller: 'forward.forward'
+  }
+};
+
+describe('Deprecated routes', function () {
+  var router;
+  var app;
+  var warnings;
+
+  beforeEach(function () {
+    router = helpers.createRouter();
+    router.instance.loadRoutes(ROUTES);
+    app = helpers.createApp(router);
+
+    warnings = [];
+    router.instance.on('deprecated route', function (route, reason) {
+      warnings.push(reason + ' ' + route.name);
+    });
+  });
+
+  it('are reported when they are matched', function (done) {
+    helpers.request(app, 'GET', '/legacy/old', function (err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(res.status).to.equal(200);
+      expect(warnings).to.deep.equal(['match old_page']);
+      done();
+    });
+  });
+
+  it('are reported when their paths are generated', function () {
+    expect(router.instance.generatePath('old_page')).to.equal('/legacy/old');
+    expect(warnings).to.deep.equal(['generate old_page']);
+  });
+
+  it('are not reported again when redirecting to their scheme', function (done) {
+    helpers.request(app, 'GET', '/secure', {host: 'example.com'}, function (err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(res.status).to.equal(301);
+      expect(res.headers.location).to.equal('https://example.com/secure');
+      expect(warnings).to.deep.equal(['match secure_page']);
+      done();
+    });
+  });
+
+  it('are not reported when a request is forwarded to them', function (done) {
+    helpers.request(app, 'GET', '/forward', function (err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal(['action old_page  / {}']);
+      expect(warnings).to.deep.equal([]);
+      done();
+    });
+  });
+});
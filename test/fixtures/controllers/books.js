@@ -0,0 +1,19 @@
+'use strict';
+
+var trace = require('../../helpers').trace;
+
+function show(req, res) {
+  trace(req, 'action ' + req.routicornRoute.name);
+  res.json(req.trace);
+}
+
+module.exports = {
+  index: show,
+  'new': show,
+  create: show,
+  show: show,
+  edit: show,
+  update: show,
+  destroy: show,
+  search: show
+};
@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = {
+
+  forward: function (req, res, next) {
+    req.forward('old_page', next);
+  }
+
+};
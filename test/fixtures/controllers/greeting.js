@@ -0,0 +1,18 @@
+'use strict';
+
+function GreetingController(greeting) {
+  this.greeting = greeting;
+  this.hits = 0;
+}
+
+GreetingController.inject = ['greeting'];
+
+GreetingController.prototype.show = function (req, res) {
+  this.hits++;
+  res.json({
+    greeting: this.greeting,
+    hits: this.hits
+  });
+};
+
+module.exports = GreetingController;
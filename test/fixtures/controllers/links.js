@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+
+  show: function (req, res) {
+    res.json({
+      route: req.routicornRoute.name,
+      locale: req.locale || null,
+      about: req.generatePath('about'),
+      aboutDe: req.generatePath('about', {_locale: 'de'}),
+      contact: req.generatePath('contact'),
+      news: req.generatePath('news')
+    });
+  }
+
+};
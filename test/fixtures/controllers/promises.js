@@ -0,0 +1,39 @@
+'use strict';
+
+module.exports = {
+
+  number: function () {
+    return Promise.resolve(42);
+  },
+
+  bool: function () {
+    return Promise.resolve(false);
+  },
+
+  object: function () {
+    return Promise.resolve({
+      id: 42
+    });
+  },
+
+  reject: function () {
+    return Promise.reject(new Error('Action rejected'));
+  },
+
+  rejectEmpty: function () {
+    return Promise.reject();
+  },
+
+  responded: function (req, res) {
+    res.status(201).send('responded');
+
+    return Promise.resolve('ignored');
+  },
+
+  passOn: function (req, res, next) {
+    next();
+
+    return Promise.resolve('ignored');
+  }
+
+};
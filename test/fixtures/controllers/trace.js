@@ -0,0 +1,35 @@
+'use strict';
+
+var trace = require('../../helpers').trace;
+
+module.exports = {
+
+  show: function (req, res) {
+    trace(req, 'action ' + req.routicornRoute.name);
+    res.json(req.trace);
+  },
+
+  entities: function (req, res) {
+    trace(req, 'action ' + req.routicornRoute.name);
+    res.json(req.entities);
+  },
+
+  format: function (req, res) {
+    res.json({
+      route: req.routicornRoute.name,
+      format: req.format || null,
+      params: req.params
+    });
+  },
+
+  pass: function (req, res, next) {
+    trace(req, 'pass ' + req.routicornRoute.name);
+    next('route');
+  },
+
+  fail: function (req, res, next) {
+    trace(req, 'fail ' + req.routicornRoute.name);
+    next(new Error('Action failed'));
+  }
+
+};
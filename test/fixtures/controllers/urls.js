@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+
+  show: function (req, res) {
+    var params = req.query.params ? JSON.parse(req.query.params) : {};
+
+    res.json({
+      route: req.routicornRoute.name,
+      params: req.params,
+      path: req.query.to ? req.generatePath(req.query.to, params) : null,
+      url: req.query.to ? req.generateUrl(req.query.to, params) : null
+    });
+  }
+
+};
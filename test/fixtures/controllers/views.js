@@ -0,0 +1,13 @@
+'use strict';
+
+var _ = require('lodash');
+
+module.exports = {
+
+  helpers: function (req, res) {
+    res.json(_.mapValues(_.pick(res.locals, ['path', 'url']), function (local) {
+      return _.isFunction(local) ? local('home', {}, {page: 2}) : local;
+    }));
+  }
+
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+function VisitorController(req, visitor) {
+  this.url = req.originalUrl;
+  this.visitor = visitor;
+  this.hits = 0;
+}
+
+VisitorController.scope = 'request';
+VisitorController.inject = ['req', 'visitor'];
+
+VisitorController.prototype.count = function (req, res, next) {
+  this.hits++;
+  next('route');
+};
+
+VisitorController.prototype.show = function (req, res) {
+  this.hits++;
+  res.json({
+    url: this.url,
+    visitor: this.visitor,
+    hits: this.hits
+  });
+};
+
+module.exports = VisitorController;
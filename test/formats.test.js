@@ -0,0 +1,108 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  report: {
+    pattern: '/report.:_format?',
+    controller: 'trace.format',
+    method: 'get',
+    formats: ['html', 'json', 'csv']
+  },
+  _api: {
+    pattern: '/api',
+    formats: ['json'],
+    routes: {
+      api_status: {
+        pattern: '/status.:_format?',
+        controller: 'trace.format',
+        method: 'get'
+      },
+      api_feed: {
+        pattern: '/feed.:_format?',
+        controller: 'trace.format',
+        method: 'get',
+        formats: ['json', 'xml']
+      }
+    }
+  },
+  page: {
+    pattern: '/page.:_format?',
+    controller: 'trace.format',
+    method: 'get',
+    defaults: {
+      _format: 'html'
+    }
+  }
+};
+
+function createRouter(compiled) {
+  var router = helpers.createRouter({
+    compiled: compiled
+  });
+
+  router.instance.loadRoutes(ROUTES);
+
+  return router;
+}
+
+describe('Formats', function () {
+  describe('path generation', function () {
+    var router = createRouter().instance;
+
+    it('adds the format suffix', function () {
+      expect(router.generatePath('report', {_format: 'csv'})).to.equal('/report.csv');
+      expect(router.generatePath('report')).to.equal('/report');
+      expect(router.generatePath('page', {_format: 'pdf'})).to.equal('/page.pdf');
+    });
+
+    it('inherits the formats of segment routes', function () {
+      expect(router.getRoute('api_status').getFormats()).to.deep.equal(['json']);
+      expect(router.getRoute('api_feed').getFormats()).to.deep.equal(['json', 'xml']);
+      expect(router.getRoute('page').getFormats()).to.deep.equal([]);
+    });
+  });
+
+  [false, true].forEach(function (compiled) {
+    describe(compiled ? 'compiled' : 'nested', function () {
+      var app = helpers.createApp(createRouter(compiled));
+
+      [
+        ['/report.json', {}, 'json', undefined],
+        ['/report.JSON', {}, 'json', undefined],
+        ['/report', {Accept: 'text/csv'}, 'csv', 'Accept'],
+        ['/report', {Accept: 'application/json, text/html;q=0.5'}, 'json', 'Accept'],
+        ['/report', {}, 'html', 'Accept'],
+        ['/api/status', {}, 'json', 'Accept'],
+        ['/api/feed.xml', {}, 'xml', undefined],
+        ['/page', {Accept: 'application/json'}, 'html', undefined],
+        ['/page.pdf', {}, 'pdf', undefined]
+      ].forEach(function (args) {
+        it('respond to ' + args[0] + ' ' + JSON.stringify(args[1]) + ' with format ' + args[2], function (done) {
+          helpers.request(app, 'GET', args[0], args[1], function (err, res) {
+            expect(res.status).to.equal(200);
+            expect(res.body.format).to.equal(args[2]);
+            expect(res.body.params._format).to.equal(args[2]);
+            expect(res.headers.vary).to.equal(args[3]);
+            done(err);
+          });
+        });
+      });
+
+      [
+        ['/report.pdf', {}, 'Not acceptable: Route report supports the formats html, json, csv'],
+        ['/report', {Accept: 'image/png'}, 'Not acceptable: Route report supports the formats html, json, csv'],
+        ['/api/status.xml', {}, 'Not acceptable: Route api_status supports the formats json']
+      ].forEach(function (args) {
+        it('respond to ' + args[0] + ' ' + JSON.stringify(args[1]) + ' with status 406', function (done) {
+          helpers.request(app, 'GET', args[0], args[1], function (err, res) {
+            expect(res.status).to.equal(406);
+            expect(res.body).to.deep.equal(['error ' + args[2]]);
+            done(err);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+var _ = require('lodash');
+var express = require('express');
+var http = require('http');
+var path = require('path');
+var routicorn = require('..');
+
+/**
+ * Test helpers
+ *
+ * @namespace Helpers
+ * @private
+ */
+module.exports = exports = {};
+
+/**
+ * @constant {string} FIXTURES_PATH
+ */
+var FIXTURES_PATH = exports.FIXTURES_PATH = path.join(__dirname, 'fixtures');
+
+/**
+ * Create a router that loads controllers from the fixtures
+ *
+ * @param {object} [options={}] Routicorn options
+ * @returns {function} Middleware function, the Routicorn instance is at its `instance` property
+ */
+exports.createRouter = function (options) {
+  return routicorn(_.extend({
+    controllerBasePath: path.join(FIXTURES_PATH, 'controllers')
+  }, options));
+};
+
+/**
+ * Create an express app that uses a router. Requests nothing responds to get a 404 response, or a
+ * 405 response if the router has routes for other methods. The body is the trace of the request,
+ * see {@link Helpers.trace}.
+ *
+ * @param {function} router Routicorn middleware function
+ * @returns {function}
+ */
+exports.createApp = function (router) {
+  var app = express();
+
+  app.use(router);
+
+  app.use(function (req, res) {
+    var result = router.instance.match(req.method, req.originalUrl);
+
+    if (!result.matched && result.reason.code === 'METHOD_NOT_ALLOWED') {
+      res.set('Allow', result.reason.allowedMethods.join(', '));
+      return res.status(405).json(req.trace || []);
+    }
+
+    res.status(404).json(req.trace || []);
+  });
+
+  app.use(function (err, req, res, next) { // eslint-disable-line no-unused-vars
+    res.status(err.status || 500).json((req.trace || []).concat(['error ' + err.message]));
+  });
+
+  return app;
+};
+
+/**
+ * Add an entry to the trace of a request, along with the request state express maintains
+ *
+ * @param {object} req Request
+ * @param {string} label
+ */
+exports.trace = function (req, label) {
+  (req.trace = req.trace || []).push([label, req.baseUrl, req.url, JSON.stringify(req.params)].join(' '));
+};
+
+/**
+ * Send a request to an app
+ *
+ * @param {function} app
+ * @param {string} method HTTP method
+ * @param {string} url
+ * @param {object} [headers={}] Request headers
+ * @param {function} callback Gets passed an error and the response, which has the properties
+ *   `status`, `headers` and `body` (parsed if it is JSON)
+ */
+exports.request = function (app, method, url, headers, callback) {
+  if (_.isFunction(headers)) {
+    callback = headers;
+    headers = {};
+  }
+
+  var server = http.createServer(app).listen(0, '127.0.0.1', function () {
+    var req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method: method,
+      path: url,
+      agent: false,
+      headers: headers
+    }, function (res) {
+      var body = '';
+
+      res.setEncoding('utf8');
+      res.on('data', function (chunk) {
+        body += chunk;
+      });
+      res.on('end', function () {
+        server.close();
+
+        if (body && /json/.test(res.headers['content-type'])) {
+          body = JSON.parse(body);
+        }
+
+        callback(null, {
+          status: res.statusCode,
+          headers: res.headers,
+          body: body
+        });
+      });
+    });
+
+    req.on('error', function (err) {
+      server.close();
+      callback(err);
+    });
+
+    req.end();
+  });
+};
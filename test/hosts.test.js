@@ -0,0 +1,155 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  www_home: {
+    host: 'www.example.com',
+    pattern: '/',
+    controller: 'urls.show',
+    method: 'get'
+  },
+  _tenant: {
+    host: ':tenant.example.com',
+    pattern: '',
+    requirements: {
+      tenant: '[a-z]+'
+    },
+    routes: {
+      tenant_home: {
+        pattern: '/',
+        controller: 'urls.show',
+        method: 'get'
+      },
+      tenant_page: {
+        pattern: '/pages/:page',
+        controller: 'urls.show',
+        method: 'get'
+      }
+    }
+  },
+  api_status: {
+    host: ':region.api.example.com',
+    pattern: '/status',
+    controller: 'urls.show',
+    method: 'get',
+    defaults: {
+      region: 'eu'
+    }
+  },
+  home: {
+    pattern: '/',
+    controller: 'urls.show',
+    method: 'get'
+  }
+};
+
+function createRouter(compiled) {
+  var router = helpers.createRouter({
+    compiled: compiled
+  });
+
+  router.instance.loadRoutes(ROUTES);
+
+  return router;
+}
+
+describe('Host patterns', function () {
+  describe('URL generation', function () {
+    var router = createRouter().instance;
+
+    it('fills in the host from the params', function () {
+      expect(router.generateUrl('tenant_page', {tenant: 'globex', page: 'about'}))
+        .to.equal('http://globex.example.com/pages/about');
+      expect(router.generateUrl('www_home')).to.equal('http://www.example.com/');
+      expect(router.generateUrl('api_status')).to.equal('http://eu.api.example.com/status');
+      expect(router.generateUrl('api_status', {region: 'us'}, {}, {secure: true}))
+        .to.equal('https://us.api.example.com/status');
+    });
+
+    it('leaves the host params out of the path', function () {
+      expect(router.generatePath('tenant_page', {tenant: 'globex', page: 'about'})).to.equal('/pages/about');
+    });
+
+    it('fails for missing host params and values that fail a requirement', function () {
+      expect(function () {
+        router.generateUrl('tenant_home');
+      }).to.throw('Cannot generate URL: missing host param "tenant" (defined in route "_tenant")');
+
+      expect(function () {
+        router.generateUrl('tenant_home', {tenant: 'Globex!'});
+      }).to.throw('Value "Globex!" does not pass requirement for host param "tenant"');
+    });
+
+    it('rejects params that are defined in both the host and the path', function () {
+      expect(function () {
+        helpers.createRouter().instance.loadRoutes({
+          tenant_user: {
+            host: ':tenant.example.com',
+            pattern: '/:tenant',
+            controller: 'urls.show'
+          }
+        });
+      }).to.throw('Param "tenant" is defined in both the host and the path pattern');
+    });
+  });
+
+  [false, true].forEach(function (compiled) {
+    describe(compiled ? 'compiled' : 'nested', function () {
+      var app = helpers.createApp(createRouter(compiled));
+
+      // Behind a proxy, generated URLs leave out the port of the test server
+      function request(host, url, callback) {
+        helpers.request(app, 'GET', url, {Host: host, 'X-Forwarded-For': '10.0.0.1'}, callback);
+      }
+
+      it('match the host and store the host params', function (done) {
+        request('acme.example.com', '/pages/about', function (err, res) {
+          expect(res.status).to.equal(200);
+          expect(res.body.route).to.equal('tenant_page');
+          expect(res.body.params).to.deep.equal({tenant: 'acme', page: 'about'});
+          done(err);
+        });
+      });
+
+      it('try the next route if the host does not match', function (done) {
+        request('www.example.com', '/', function (err, res) {
+          expect(res.body.route).to.equal('www_home');
+          done(err);
+        });
+      });
+
+      it('skip routes whose host params fail a requirement', function (done) {
+        request('ACME1.example.com', '/', function (err, res) {
+          expect(res.body.route).to.equal('home');
+          done(err);
+        });
+      });
+
+      it('match no route with a host pattern for other hosts', function (done) {
+        request('example.org', '/pages/about', function (err, res) {
+          expect(res.status).to.equal(404);
+          done(err);
+        });
+      });
+
+      it('generate URLs with the host params of the request', function (done) {
+        var query = '?to=tenant_page&params=' + encodeURIComponent(JSON.stringify({page: 'contact'}));
+
+        request('acme.example.com', '/' + query, function (err, res) {
+          expect(res.body.path).to.equal('/pages/contact');
+          expect(res.body.url).to.equal('http://acme.example.com/pages/contact');
+          done(err);
+        });
+      });
+
+      it('generate URLs for other hosts', function (done) {
+        request('acme.example.com', '/?to=www_home', function (err, res) {
+          expect(res.body.url).to.equal('http://www.example.com/');
+          done(err);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  _users: {
+    pattern: '/users/:username',
+    requirements: {
+      username: '[a-z]+',
+      tab: 'posts|likes'
+    },
+    defaults: {
+      tab: 'posts'
+    },
+    tags: ['users'],
+    meta: {
+      permission: 'read',
+      section: 'users'
+    },
+    schemes: ['https'],
+    routes: {
+      _user_actions: {
+        pattern: '',
+        tags: 'actions',
+        meta: {
+          permission: 'write'
+        },
+        routes: {
+          user_tab: {
+            pattern: '/tabs/:tab?',
+            controller: 'trace.show',
+            method: 'get',
+            tags: ['admin']
+          },
+          user_edit: {
+            pattern: '/edit/:tab?',
+            controller: 'trace.show',
+            method: 'get',
+            requirements: {
+              tab: '[a-z]+'
+            },
+            defaults: {
+              tab: 'settings'
+            },
+            schemes: ['http', 'https']
+          }
+        }
+      }
+    }
+  }
+};
+
+function createRouter(compiled) {
+  var router = helpers.createRouter({
+    compiled: compiled
+  });
+
+  router.instance.loadRoutes(ROUTES);
+
+  return router;
+}
+
+describe('Inherited route settings', function () {
+  var router = createRouter();
+
+  it('merge the tags of the parent routes', function () {
+    var route = router.instance.getRoute('user_tab');
+
+    expect(route.getTags()).to.deep.equal(['users', 'actions', 'admin']);
+    expect(router.instance.getRoute('user_edit').hasTag('users')).to.be.true;
+
+    route.removeTag('users');
+    expect(route.hasTag('users')).to.be.true;
+
+    router.instance.getRoute('_users').addTag('people');
+    expect(route.getTags()).to.deep.equal(['users', 'people', 'actions', 'admin']);
+    router.instance.getRoute('_users').removeTag('people');
+  });
+
+  it('merge the metadata of the parent routes', function () {
+    var route = router.instance.getRoute('user_tab');
+
+    expect(route.getMeta()).to.deep.equal({permission: 'write', section: 'users'});
+    expect(route.getMeta('section')).to.equal('users');
+    expect(router.instance.getRoute('_users').getMeta('permission')).to.equal('read');
+  });
+
+  it('merge the requirements, defaults and schemes of the parent routes', function () {
+    var tab = router.instance.getRoute('user_tab');
+    var edit = router.instance.getRoute('user_edit');
+
+    expect(tab.getRequirements()).to.deep.equal({username: '[a-z]+', tab: 'posts|likes'});
+    expect(tab.getDefaults()).to.deep.equal({tab: 'posts'});
+    expect(tab.getSchemes()).to.deep.equal(['https']);
+
+    expect(edit.getRequirements()).to.deep.equal({username: '[a-z]+', tab: '[a-z]+'});
+    expect(edit.getDefaults()).to.deep.equal({tab: 'settings'});
+    expect(edit.getSchemes()).to.deep.equal(['http', 'https']);
+  });
+
+  it('apply the inherited settings to path generation', function () {
+    expect(router.instance.generatePath('user_tab', {username: 'bob', tab: 'likes'})).to.equal('/users/bob/tabs/likes');
+    expect(router.instance.generatePath('user_edit', {username: 'bob', tab: 'profile'}))
+      .to.equal('/users/bob/edit/profile');
+
+    expect(function () {
+      router.instance.generatePath('user_tab', {username: 'bob', tab: 'profile'});
+    }).to.throw('does not pass requirement for param "tab"');
+
+    expect(function () {
+      router.instance.generatePath('user_edit', {username: 'bob1'});
+    }).to.throw('does not pass requirement for param "username"');
+  });
+
+  it('apply the inherited settings to matching', function () {
+    expect(router.instance.match('GET', '/users/bob/tabs').params).to.deep.equal({username: 'bob', tab: 'posts'});
+    expect(router.instance.match('GET', '/users/bob/edit').params).to.deep.equal({username: 'bob', tab: 'settings'});
+    expect(router.instance.match('GET', '/users/bob/edit/posts').params).to.deep.equal({username: 'bob', tab: 'posts'});
+    expect(router.instance.match('GET', '/users/bob/tabs/profile').reason.code).to.equal('INVALID_PARAM');
+  });
+
+  [false, true].forEach(function (compiled) {
+    it('apply the inherited settings to requests (' + (compiled ? 'compiled' : 'nested') + ')', function (done) {
+      var app = helpers.createApp(createRouter(compiled));
+
+      app.enable('trust proxy');
+
+      helpers.request(app, 'GET', '/users/bob/tabs', {'X-Forwarded-Proto': 'https'}, function (tabErr, tab) {
+        expect(tab.status).to.equal(200);
+        expect(tab.body[0]).to.match(/\{"username":"bob","tab":"posts"\}$/);
+
+        helpers.request(app, 'GET', '/users/bob/edit', function (err, edit) {
+          expect(edit.status).to.equal(200);
+          expect(edit.body[0]).to.match(/\{"username":"bob","tab":"settings"\}$/);
+          done(tabErr || err);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  about: {
+    pattern: {
+      en: '/about',
+      de: '/ueber-uns',
+      fr: '/a-propos'
+    },
+    controller: 'links.show',
+    method: 'get'
+  },
+  contact: {
+    pattern: {
+      en: '/contact'
+    },
+    controller: 'links.show',
+    method: 'get'
+  },
+  _localized: {
+    pattern: '/:_locale',
+    requirements: {
+      _locale: 'en|de|fr'
+    },
+    routes: {
+      news: {
+        pattern: '/news',
+        controller: 'links.show',
+        method: 'get'
+      }
+    }
+  }
+};
+
+function createRouter() {
+  var router = helpers.createRouter({
+    defaultLocale: 'en'
+  });
+
+  router.instance.loadRoutes(ROUTES);
+
+  return router;
+}
+
+describe('Localized routes', function () {
+  var router = createRouter();
+  var app = helpers.createApp(router);
+
+  it('create one variant per locale', function () {
+    expect(router.instance.hasRoute('about@en')).to.be.true;
+    expect(router.instance.hasRoute('about@de')).to.be.true;
+    expect(router.instance.getRoute('about@de').locale).to.equal('de');
+  });
+
+  it('generate the variant of the locale param, falling back to the default locale', function () {
+    expect(router.instance.generatePath('about')).to.equal('/about');
+    expect(router.instance.generatePath('about', {_locale: 'fr'})).to.equal('/a-propos');
+    expect(router.instance.generatePath('contact', {_locale: 'de'})).to.equal('/contact');
+    expect(router.instance.generatePath('news', {_locale: 'de'})).to.equal('/de/news');
+    expect(router.instance.resolveRoute('about', 'it').name).to.equal('about@en');
+  });
+
+  it('fail for locales without a variant and without a default locale', function () {
+    var other = helpers.createRouter().instance;
+
+    other.loadRoutes(ROUTES);
+
+    expect(function () {
+      other.resolveRoute('contact', 'de');
+    }).to.throw('Route does not exist: contact (locale "de")');
+  });
+
+  it('set the locale of requests and generate paths for it', function (done) {
+    helpers.request(app, 'GET', '/ueber-uns', function (err, res) {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal({
+        route: 'about@de',
+        locale: 'de',
+        about: '/ueber-uns',
+        aboutDe: '/ueber-uns',
+        contact: '/contact',
+        news: '/de/news'
+      });
+      done(err);
+    });
+  });
+
+  it('take the locale of requests from the locale param', function (done) {
+    helpers.request(app, 'GET', '/fr/news', function (err, res) {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal({
+        route: 'news',
+        locale: 'fr',
+        about: '/a-propos',
+        aboutDe: '/ueber-uns',
+        contact: '/contact',
+        news: '/fr/news'
+      });
+      done(err);
+    });
+  });
+});
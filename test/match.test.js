@@ -0,0 +1,91 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+describe('Routicorn#match()', function () {
+  var router;
+
+  before(function () {
+    router = helpers.createRouter().instance;
+
+    router.loadRoutes({
+      _api: {
+        pattern: '/api/:version',
+        requirements: {
+          version: '^v\\d+$'
+        },
+        routes: {
+          files: {
+            pattern: '/files/*',
+            controller: 'trace.show',
+            method: 'get'
+          },
+          color: {
+            pattern: '/colou?r',
+            controller: 'trace.show',
+            method: 'get'
+          },
+          show_user: {
+            pattern: '/users/:id',
+            controller: 'trace.show',
+            methods: ['get', 'put']
+          }
+        }
+      }
+    });
+  });
+
+  it('matches routes with wildcards', function () {
+    var result = router.match('GET', '/api/v1/files/docs/readme.txt?download=1');
+
+    expect(result.matched).to.be.true;
+    expect(result.route.name).to.equal('files');
+    expect(result.params).to.deep.equal({
+      0: 'docs/readme.txt',
+      version: 'v1'
+    });
+    expect(result.query).to.deep.equal({
+      download: '1'
+    });
+  });
+
+  it('matches routes with optional characters', function () {
+    expect(router.match('GET', '/api/v1/color').route.name).to.equal('color');
+    expect(router.match('GET', '/api/v1/colour').route.name).to.equal('color');
+    expect(router.match('GET', '/api/v1/colouur').reason.code).to.equal('NOT_FOUND');
+  });
+
+  it('matches routes that come after routes with wildcards', function () {
+    var result = router.match('GET', '/api/v2/users/42');
+
+    expect(result.route.name).to.equal('show_user');
+    expect(result.params).to.deep.equal({
+      version: 'v2',
+      id: '42'
+    });
+    expect(result.parents.map(function (route) {
+      return route.name;
+    })).to.deep.equal(['_api']);
+  });
+
+  it('reports the allowed methods if the method is not handled', function () {
+    var result = router.match('DELETE', '/api/v1/users/42');
+
+    expect(result.matched).to.be.false;
+    expect(result.reason.code).to.equal('METHOD_NOT_ALLOWED');
+    expect(result.reason.allowedMethods).to.deep.equal(['GET', 'PUT']);
+  });
+
+  it('reports invalid params', function () {
+    var result = router.match('GET', '/api/x1/users/42');
+
+    expect(result.reason.code).to.equal('INVALID_PARAM');
+    expect(result.reason.param).to.equal('version');
+    expect(result.reason.route.name).to.equal('_api');
+  });
+
+  it('reports paths that cannot be decoded', function () {
+    expect(router.match('GET', '/api/v1/users/%E0').reason.code).to.equal('BAD_REQUEST');
+  });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+var expect = require('chai').expect;
+var path = require('path');
+var helpers = require('./helpers');
+
+var MIDDLEWARE_FILE = path.join(helpers.FIXTURES_PATH, 'routing', 'middleware.yml');
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+
+  throw new Error('Expected an error');
+}
+
+function createRouter(compiled) {
+  var router = helpers.createRouter({
+    compiled: compiled,
+    middleware: {
+      mark: function (options) {
+        return function (req, res, next) {
+          helpers.trace(req, 'middleware ' + options.label);
+          next();
+        };
+      }
+    }
+  });
+
+  router.instance.registerMiddleware('auth', function () {
+    return [
+      function (req, res, next) {
+        helpers.trace(req, 'middleware auth');
+        next();
+      },
+      function (req, res, next) {
+        if (req.get('Authorization') !== 'secret') {
+          return res.status(401).json(req.trace);
+        }
+
+        next();
+      }
+    ];
+  });
+
+  return router;
+}
+
+describe('Middleware', function () {
+  it('fails to register without a factory or twice', function () {
+    var router = createRouter().instance;
+
+    expect(function () {
+      router.registerMiddleware('json_body', {});
+    }).to.throw(TypeError, 'middleware factory must be a function');
+
+    expect(function () {
+      router.registerMiddleware('mark', function () {});
+    }).to.throw('Middleware with the same name already exists');
+
+    router.registerMiddleware('broken', function () {
+      return 'json';
+    });
+
+    expect(function () {
+      router.getMiddleware('broken');
+    }).to.throw(TypeError, 'Factory of middleware broken must return functions');
+  });
+
+  it('fails with the positions of unknown middleware', function () {
+    var router = createRouter().instance;
+    var error = catchError(function () {
+      router.loadRoutes(MIDDLEWARE_FILE);
+    });
+
+    expect(error.message).to.equal([
+      'Invalid routing configuration in ' + MIDDLEWARE_FILE + ':',
+      '  - ' + MIDDLEWARE_FILE + ':28:13 _admin.routes._admin_users.routes.admin_user.middleware[1]: ' +
+        'Middleware does not exist: json_body'
+    ].join('\n'));
+    expect(router.hasRoute('admin_home')).to.be.false;
+  });
+
+  it('fails for unknown middleware in route config objects', function () {
+    var router = createRouter().instance;
+    var error = catchError(function () {
+      router.loadRoutes({
+        upload: {
+          pattern: '/upload',
+          controller: 'trace.show',
+          middleware: 'multipart'
+        }
+      });
+    });
+
+    expect(error.message).to.equal([
+      'Invalid routing configuration:',
+      '  - upload.middleware: Middleware does not exist: multipart'
+    ].join('\n'));
+  });
+
+  [false, true].forEach(function (compiled) {
+    describe(compiled ? 'compiled' : 'nested', function () {
+      var app;
+
+      before(function () {
+        var router = createRouter(compiled);
+
+        router.instance.registerMiddleware('json_body', function () {
+          return function (req, res, next) {
+            helpers.trace(req, 'middleware json_body');
+            next();
+          };
+        });
+        router.instance.loadRoutes(MIDDLEWARE_FILE);
+        app = helpers.createApp(router);
+      });
+
+      it('runs the middleware of segment routes for all of their sub-routes in order', function (done) {
+        helpers.request(app, 'GET', '/admin/users/42', {Authorization: 'secret'}, function (err, res) {
+          expect(res.status).to.equal(200);
+          expect(res.body.map(function (entry) {
+            return entry.split(' ').slice(0, 2).join(' ');
+          })).to.deep.equal([
+            'middleware admin',
+            'middleware auth',
+            'middleware users',
+            'middleware user',
+            'middleware json_body',
+            'action admin_user'
+          ]);
+          done(err);
+        });
+      });
+
+      it('runs the middleware of the segment route only', function (done) {
+        helpers.request(app, 'GET', '/admin', {Authorization: 'secret'}, function (err, res) {
+          expect(res.status).to.equal(200);
+          expect(res.body.map(function (entry) {
+            return entry.split(' ').slice(0, 2).join(' ');
+          })).to.deep.equal([
+            'middleware admin',
+            'middleware auth',
+            'action admin_home'
+          ]);
+          done(err);
+        });
+      });
+
+      it('lets middleware respond', function (done) {
+        helpers.request(app, 'GET', '/admin/users', function (err, res) {
+          expect(res.status).to.equal(401);
+          expect(res.body).to.have.length(2);
+          done(err);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+var expect = require('chai').expect;
+var path = require('path');
+var helpers = require('./helpers');
+
+var LIBRARY_PATH = path.join(helpers.FIXTURES_PATH, 'routing', 'library');
+
+function createRouter() {
+  var router = helpers.createRouter();
+
+  router.instance.loadRoutes(path.join(LIBRARY_PATH, 'library.yml'));
+
+  return router;
+}
+
+describe('Name prefixes and suffixes of imports', function () {
+  var router = createRouter();
+  var app = helpers.createApp(router);
+
+  it('rename every route of the imported file', function () {
+    expect(router.instance.hasRoute('user_books_list')).to.be.true;
+    expect(router.instance.hasRoute('shelf_book_show_v2')).to.be.true;
+    expect(router.instance.hasRoute('old_archive_books_all')).to.be.true;
+    expect(router.instance.hasRoute('books_list')).to.be.false;
+
+    expect(router.instance.generatePath('user_book_show', {username: 'bob', book: 'dune'}))
+      .to.equal('/users/bob/books/dune');
+    expect(router.instance.generatePath('shelf_book_show_v2', {shelf: 'scifi', book: 'dune'}))
+      .to.equal('/shelves/scifi/books/dune');
+    expect(router.instance.generatePath('old_archive_book_show', {book: 'dune'}))
+      .to.equal('/old/books/dune');
+  });
+
+  it('are needed to import a file twice', function () {
+    expect(function () {
+      helpers.createRouter().instance.loadRoutes(path.join(LIBRARY_PATH, 'twice.yml'));
+    }).to.throw('Route name is ambiguous: books_list');
+  });
+
+  it('let the routes of a file refer to each other by their names in the file', function () {
+    var route = router.instance.getRoute('shelf_books_list_v2');
+
+    expect(router.instance.resolveRoute('book_show', null, route).name).to.equal('shelf_book_show_v2');
+    route = router.instance.getRoute('old_archive_book_show');
+    expect(router.instance.resolveRoute('books_list', null, route).name).to.equal('old_archive_books_list');
+    expect(function () {
+      router.instance.resolveRoute('book_show');
+    }).to.throw('Route does not exist: book_show');
+  });
+
+  it('resolve redirect targets in the file', function (done) {
+    helpers.request(app, 'GET', '/old/books/all', function (oldErr, old) {
+      expect(old.headers.location).to.equal('/old/books');
+
+      helpers.request(app, 'GET', '/shelves/scifi/books/all', function (err, shelf) {
+        expect(shelf.headers.location).to.equal('/shelves/scifi/books');
+        done(oldErr || err);
+      });
+    });
+  });
+
+  it('resolve names in the file when generating paths for requests', function (done) {
+    var query = '?to=book_show&params=' + encodeURIComponent(JSON.stringify({book: 'dune'}));
+
+    helpers.request(app, 'GET', '/users/bob/books/' + query, function (err, res) {
+      expect(res.body.route).to.equal('user_books_list');
+      expect(res.body.path).to.equal('/users/bob/books/dune');
+      done(err);
+    });
+  });
+});
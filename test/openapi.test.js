@@ -0,0 +1,107 @@
+'use strict';
+
+var _ = require('lodash');
+var expect = require('chai').expect;
+var configSchema = require('../lib/route/config-schema');
+var helpers = require('./helpers');
+
+function toOpenAPI(routes) {
+  var router = helpers.createRouter().instance;
+
+  router.loadRoutes(routes);
+
+  return router.toOpenAPI();
+}
+
+describe('OpenAPI', function () {
+  it('creates a path for every combination of optional params', function () {
+    var document = toOpenAPI({
+      files: {
+        pattern: '/files/:dir?/:name.:format?',
+        controller: 'trace.show',
+        method: 'get'
+      }
+    });
+
+    expect(_.keys(document.paths)).to.deep.equal([
+      '/files/{dir}/{name}.{format}',
+      '/files/{name}.{format}',
+      '/files/{dir}/{name}',
+      '/files/{name}'
+    ]);
+    expect(_.pluck(document.paths['/files/{name}'].get.parameters, 'name')).to.deep.equal(['name']);
+    expect(_.pluck(document.paths['/files/{name}'].get.parameters, 'required')).to.deep.equal([true]);
+    expect(_.map(document.paths, function (pathItem) {
+      return pathItem.get.operationId;
+    })).to.deep.equal([
+      'files',
+      'files_without_dir',
+      'files_without_format',
+      'files_without_dir_format'
+    ]);
+  });
+
+  it('describes host params as server variables', function () {
+    var document = toOpenAPI({
+      _tenant: {
+        pattern: '/',
+        host: ':tenant.example.com',
+        requirements: {
+          tenant: '[a-z]+'
+        },
+        routes: {
+          dashboard: {
+            pattern: '/dashboard',
+            controller: 'trace.show',
+            method: 'get',
+            schemes: 'https'
+          }
+        }
+      }
+    });
+
+    var operation = document.paths['/dashboard'].get;
+
+    expect(operation.parameters).to.be.undefined;
+    expect(operation.servers).to.deep.equal([{
+      url: 'https://{tenant}.example.com',
+      variables: {
+        tenant: {
+          'default': 'tenant',
+          description: 'Host param, must match /^(?:[a-z]+)$/'
+        }
+      }
+    }]);
+  });
+
+  it('rejects operation keys on routes without an action', function () {
+    var problems = configSchema.validate({
+      _users: {
+        pattern: '/users',
+        summary: 'Users',
+        responses: {
+          200: 'OK'
+        },
+        routes: {
+          list_users: {
+            pattern: '/',
+            controller: 'users.list',
+            description: 'List the users'
+          }
+        }
+      },
+      users: {
+        type: 'resource',
+        pattern: '/people',
+        controller: 'users',
+        description: 'People'
+      }
+    }, []);
+
+    expect(problems).to.deep.equal([
+      {path: ['_users', 'summary'], message: 'Only applies to routes with a controller, redirect or view'},
+      {path: ['_users', 'responses'], message: 'Only applies to routes with a controller, redirect or view'},
+      {path: ['users', 'description'], message: 'Only applies to routes with a controller, redirect or view'}
+    ]);
+  });
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var paramTypes = require('../lib/param-types');
+
+var ROUTES = {
+  typed: {
+    pattern: '/typed/:count/:ratio/:flag/:day/:id/:state',
+    controller: 'trace.show',
+    method: 'get',
+    types: {
+      count: 'int',
+      ratio: 'float',
+      flag: 'bool',
+      day: 'date',
+      id: 'uuid',
+      state: 'enum(open|closed)'
+    }
+  },
+  required: {
+    pattern: '/required/:code',
+    controller: 'trace.show',
+    method: 'get',
+    requirements: {
+      code: '\\d+'
+    }
+  },
+  color: {
+    pattern: '/colors/:rgb',
+    controller: 'trace.show',
+    method: 'get',
+    types: {
+      rgb: 'hex'
+    }
+  }
+};
+
+function createRouter() {
+  var router = helpers.createRouter({
+    paramTypes: {
+      hex: {
+        pattern: '[0-9a-f]+',
+        parse: function (val) {
+          return parseInt(val, 16);
+        },
+        format: function (val) {
+          return val.toString(16);
+        }
+      }
+    }
+  });
+
+  router.instance.loadRoutes(ROUTES);
+
+  return router;
+}
+
+function resolve(routeName, params) {
+  var error = createRouter().instance.getRoute(routeName)._resolveParams(params, {});
+
+  return error || params;
+}
+
+describe('Param types', function () {
+  describe('built-in types', function () {
+    it('parse valid values', function () {
+      expect(paramTypes.get('int').parse('-42')).to.equal(-42);
+      expect(paramTypes.get('float').parse('2.5')).to.equal(2.5);
+      expect(paramTypes.get('bool').parse('1')).to.equal(true);
+      expect(paramTypes.get('bool').parse('false')).to.equal(false);
+      expect(paramTypes.get('uuid').parse('0A1B2C3D-0000-4000-8000-00000000000F'))
+        .to.equal('0a1b2c3d-0000-4000-8000-00000000000f');
+      expect(paramTypes.get('date').parse('2015-02-28').toISOString()).to.equal('2015-02-28T00:00:00.000Z');
+    });
+
+    it('reject dates that do not exist', function () {
+      expect(paramTypes.get('date').parse('2015-02-30')).to.be.undefined;
+      expect(paramTypes.get('date').parse('2015-13-01')).to.be.undefined;
+    });
+
+    it('match whole values only', function () {
+      expect(paramTypes.get('int').regExp.test('42')).to.be.true;
+      expect(paramTypes.get('int').regExp.test('abc42')).to.be.false;
+      expect(paramTypes.get('enum(open|closed)').regExp.test('open')).to.be.true;
+      expect(paramTypes.get('enum(open|closed)').regExp.test('reopened')).to.be.false;
+      expect(paramTypes.get('enum(open|closed)').values).to.deep.equal(['open', 'closed']);
+    });
+
+    it('fail for unknown names', function () {
+      expect(function () {
+        paramTypes.get('money');
+      }).to.throw('Unknown param type "money"');
+    });
+  });
+
+  describe('resolving params', function () {
+    it('coerces values to their types', function () {
+      var params = resolve('typed', {
+        count: '42',
+        ratio: '0.5',
+        flag: 'true',
+        day: '2015-02-28',
+        id: '0A1B2C3D-0000-4000-8000-00000000000F',
+        state: 'open'
+      });
+
+      expect(params.count).to.equal(42);
+      expect(params.ratio).to.equal(0.5);
+      expect(params.flag).to.equal(true);
+      expect(params.day).to.be.an.instanceof(Date);
+      expect(params.id).to.equal('0a1b2c3d-0000-4000-8000-00000000000f');
+      expect(params.state).to.equal('open');
+    });
+
+    it('rejects values that fail a type', function () {
+      var error = resolve('typed', {
+        count: '42',
+        ratio: '0.5',
+        flag: 'true',
+        day: '2015-02-30',
+        id: '0a1b2c3d-0000-4000-8000-00000000000f',
+        state: 'open'
+      });
+
+      expect(error.code).to.equal('INVALID_PARAM');
+      expect(error.param).to.equal('day');
+      expect(error.message).to.equal('Invalid value "2015-02-30" for parameter: day');
+    });
+
+    it('anchors plain requirements', function () {
+      expect(resolve('required', {code: '123'})).to.deep.equal({code: '123'});
+      expect(resolve('required', {code: 'abc1'}).code).to.equal('INVALID_PARAM');
+      expect(resolve('required', {code: '1abc'}).code).to.equal('INVALID_PARAM');
+    });
+
+    it('uses custom types', function () {
+      expect(resolve('color', {rgb: 'ff8000'})).to.deep.equal({rgb: 0xff8000});
+      expect(resolve('color', {rgb: 'orange'}).code).to.equal('INVALID_PARAM');
+    });
+
+    it('stores the coerced values in req.params', function (done) {
+      var router = createRouter();
+
+      helpers.request(
+        helpers.createApp(router),
+        'GET',
+        '/typed/7/1.5/0/2015-02-28/0a1b2c3d-0000-4000-8000-00000000000f/closed',
+        function (err, res) {
+          expect(res.status).to.equal(200);
+          expect(JSON.parse(res.body[0].slice(res.body[0].indexOf('{')))).to.deep.equal({
+            count: 7,
+            ratio: 1.5,
+            flag: false,
+            day: '2015-02-28T00:00:00.000Z',
+            id: '0a1b2c3d-0000-4000-8000-00000000000f',
+            state: 'closed'
+          });
+          done(err);
+        }
+      );
+    });
+
+    it('fails requests with values that fail a type', function (done) {
+      helpers.request(
+        helpers.createApp(createRouter()),
+        'GET',
+        '/typed/7/1.5/0/2015-02-30/0a1b2c3d-0000-4000-8000-00000000000f/closed',
+        function (err, res) {
+          expect(res.body).to.contain('error Invalid value "2015-02-30" for parameter: day');
+          done(err);
+        }
+      );
+    });
+  });
+
+  describe('path generation', function () {
+    var router = createRouter().instance;
+
+    it('formats values', function () {
+      expect(router.getRoute('typed').generatePath({
+        count: 7,
+        ratio: 1.5,
+        flag: false,
+        day: new Date(Date.UTC(2015, 1, 28)),
+        id: '0a1b2c3d-0000-4000-8000-00000000000f',
+        state: 'closed'
+      })).to.equal('/typed/7/1.5/false/2015-02-28/0a1b2c3d-0000-4000-8000-00000000000f/closed');
+      expect(router.getRoute('color').generatePath({rgb: 0xff8000})).to.equal('/colors/ff8000');
+    });
+
+    it('rejects values that fail a type', function () {
+      expect(function () {
+        router.getRoute('typed').generatePath({
+          count: 'seven',
+          ratio: 1.5,
+          flag: false,
+          day: '2015-02-28',
+          id: '0a1b2c3d-0000-4000-8000-00000000000f',
+          state: 'closed'
+        });
+      }).to.throw('Value "seven" does not pass requirement for param "count"');
+
+      expect(function () {
+        router.getRoute('typed').generatePath({
+          count: 7,
+          ratio: 1.5,
+          flag: false,
+          day: '2015-02-28',
+          id: '0a1b2c3d-0000-4000-8000-00000000000f',
+          state: 'pending'
+        });
+      }).to.throw('does not pass requirement for param "state"');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+var expect = require('chai').expect;
+var path = require('path');
+var helpers = require('./helpers');
+
+var REDIRECTS_FILE = path.join(helpers.FIXTURES_PATH, 'routing', 'redirects.yml');
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+
+  throw new Error('Expected an error');
+}
+
+describe('Redirect routes', function () {
+  it('may redirect to routes that are defined further down or have been loaded before', function () {
+    var router = helpers.createRouter().instance;
+
+    router.loadRoutes({
+      list_users: {
+        pattern: '/users',
+        controller: 'trace.show'
+      }
+    });
+    router.loadRoutes(REDIRECTS_FILE);
+
+    expect(router.hasRoute('legacy_home')).to.be.true;
+    expect(router.hasRoute('legacy_users')).to.be.true;
+  });
+
+  it('redirects to the target route', function (done) {
+    var router = helpers.createRouter();
+
+    router.instance.loadRoutes({
+      list_users: {
+        pattern: '/users',
+        controller: 'trace.show'
+      }
+    });
+    router.instance.loadRoutes(REDIRECTS_FILE);
+
+    helpers.request(helpers.createApp(router), 'GET', '/legacy/users', function (err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(res.status).to.equal(301);
+      expect(res.headers.location).to.equal('/users');
+      done();
+    });
+  });
+
+  it('fails with the position of the redirect if the target route does not exist', function () {
+    var router = helpers.createRouter().instance;
+    var error = catchError(function () {
+      router.loadRoutes(REDIRECTS_FILE);
+    });
+
+    expect(error.message).to.equal([
+      'Invalid routing configuration in ' + REDIRECTS_FILE + ':',
+      '  - ' + REDIRECTS_FILE + ':16:9 _legacy.routes.legacy_users.redirect.route: ' +
+        'Redirect target does not exist: list_users'
+    ].join('\n'));
+    expect(error.problems).to.have.length(1);
+    expect(error.problems[0]).to.have.property('line', 16);
+  });
+
+  it('checks the targets of redirects in route config objects', function () {
+    var router = helpers.createRouter().instance;
+    var error = catchError(function () {
+      router.loadRoutes({
+        legacy_about: {
+          pattern: '/legacy-about',
+          redirect: {
+            route: 'about'
+          }
+        }
+      });
+    });
+
+    expect(error.message).to.equal([
+      'Invalid routing configuration:',
+      '  - legacy_about.redirect.route: Redirect target does not exist: about'
+    ].join('\n'));
+  });
+});
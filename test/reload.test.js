@@ -0,0 +1,195 @@
+'use strict';
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var helpers = require('./helpers');
+
+var HOME_ROUTE = [
+  'home:',
+  '  pattern: /',
+  '  controller: trace.show',
+  ''
+].join('\n');
+
+var ABOUT_ROUTE = [
+  'about:',
+  '  pattern: /about',
+  '  controller: trace.show',
+  ''
+].join('\n');
+
+describe('Hot reloading', function () {
+  var dir;
+  var file;
+  var router;
+
+  beforeEach(function () {
+    dir = path.join(os.tmpdir(), 'routicorn-' + process.pid + '-' + Date.now());
+    fs.mkdirSync(dir);
+    file = path.join(dir, 'main.yml');
+    fs.writeFileSync(file, HOME_ROUTE);
+
+    router = helpers.createRouter({
+      watchInterval: 10
+    }).instance;
+    router.loadRoutes(file);
+  });
+
+  afterEach(function () {
+    router.unwatch();
+    fs.unlinkSync(file);
+    fs.rmdirSync(dir);
+  });
+
+  describe('Routicorn#reload()', function () {
+    it('rebuilds the routes from the routing files', function () {
+      var reloaded = null;
+      router.on('reload', function (routes) {
+        reloaded = routes;
+      });
+
+      fs.writeFileSync(file, HOME_ROUTE + ABOUT_ROUTE);
+
+      expect(router.reload()).to.be.true;
+      expect(reloaded).to.have.keys(['home', 'about']);
+      expect(router.match('GET', '/about').route.name).to.equal('about');
+    });
+
+    it('keeps the previous route tree if rebuilding fails', function () {
+      var previousRoute = router.getRoute('home');
+      var reloadError = null;
+      router.on('reload error', function (err) {
+        reloadError = err;
+      });
+
+      fs.writeFileSync(file, ABOUT_ROUTE.replace('trace.show', 'missing.show'));
+
+      expect(router.reload()).to.be.false;
+      expect(reloadError).to.be.an.instanceof(Error);
+      expect(reloadError.message).to.contain('missing');
+      expect(router.getRoute('home')).to.equal(previousRoute);
+      expect(router.hasRoute('about')).to.be.false;
+      expect(router.match('GET', '/').route).to.equal(previousRoute);
+    });
+  });
+
+  describe('Routicorn#watch()', function () {
+    it('reloads the routes when a routing file changes', function (done) {
+      router.on('reload', function () {
+        expect(router.hasRoute('about')).to.be.true;
+        done();
+      });
+
+      router.watch();
+
+      // Give the watcher time to take the initial stats of the file
+      setTimeout(function () {
+        fs.writeFileSync(file, HOME_ROUTE + ABOUT_ROUTE);
+        fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+      }, 100);
+    });
+
+    it('reloads only once when a file changes multiple times in a row', function (done) {
+      var reloads = 0;
+      router.on('reload', function () {
+        reloads++;
+      });
+
+      router.watch();
+
+      var listener = router._watchState.listeners[file];
+      var prev = {
+        mtime: new Date(1000)
+      };
+
+      [2000, 3000, 4000].forEach(function (time) {
+        listener({
+          mtime: new Date(time)
+        }, prev);
+      });
+
+      setTimeout(function () {
+        expect(reloads).to.equal(1);
+        done();
+      }, 150);
+    });
+
+    it('ignores changes that do not modify the file', function (done) {
+      var reloads = 0;
+      router.on('reload', function () {
+        reloads++;
+      });
+
+      router.watch();
+
+      router._watchState.listeners[file]({
+        mtime: new Date(1000)
+      }, {
+        mtime: new Date(1000)
+      });
+
+      setTimeout(function () {
+        expect(reloads).to.equal(0);
+        done();
+      }, 100);
+    });
+  });
+
+  describe('Routicorn#unwatch()', function () {
+    var unwatchFile = fs.unwatchFile;
+    var unwatched;
+
+    beforeEach(function () {
+      unwatched = [];
+      fs.unwatchFile = function (filename, listener) {
+        unwatched.push([filename, listener]);
+        return unwatchFile.apply(this, arguments);
+      };
+    });
+
+    afterEach(function () {
+      fs.unwatchFile = unwatchFile;
+    });
+
+    it('removes the file listeners', function () {
+      router.watch();
+
+      var listener = router._watchState.listeners[file];
+
+      router.unwatch();
+
+      expect(unwatched).to.deep.equal([[file, listener]]);
+      expect(router._watchState.listeners).to.be.empty;
+    });
+
+    it('cancels a pending reload', function (done) {
+      var reloads = 0;
+      router.on('reload', function () {
+        reloads++;
+      });
+
+      router.watch();
+      router._watchState.listeners[file]({
+        mtime: new Date(2000)
+      }, {
+        mtime: new Date(1000)
+      });
+      router.unwatch();
+
+      setTimeout(function () {
+        expect(reloads).to.equal(0);
+        done();
+      }, 100);
+    });
+
+    it('does not watch the files again after a reload', function () {
+      router.watch();
+      router.unwatch();
+
+      expect(router.reload()).to.be.true;
+      expect(router._watchState.listeners).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var resource = require('../lib/route/resource');
+
+function createApp(config) {
+  var router = helpers.createRouter();
+
+  router.instance.loadRoutes({
+    books: config
+  });
+
+  return helpers.createApp(router);
+}
+
+function requestAll(app, requests, callback) {
+  var results = [];
+
+  (function next(idx) {
+    if (idx === requests.length) {
+      return callback(null, results);
+    }
+
+    helpers.request(app, requests[idx][0], requests[idx][1], function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+
+      results.push([requests[idx][0], requests[idx][1], res.status, res.status === 200 ? res.body[0] : null]);
+      next(idx + 1);
+    });
+  }(0));
+}
+
+describe('Resource routes', function () {
+  describe('expansion', function () {
+    it('creates collection routes and member routes below a segment route', function () {
+      expect(resource.expand('books', {
+        type: 'resource',
+        pattern: '/books',
+        controller: 'books',
+        param: 'bookslug',
+        requirements: {
+          bookslug: '[a-z-]+',
+          page: '\\d+'
+        }
+      })).to.deep.equal({
+        pattern: '/books',
+        requirements: {
+          page: '\\d+'
+        },
+        routes: {
+          books_index: {pattern: '/', controller: 'books.index', methods: ['get']},
+          books_new: {pattern: '/new', controller: 'books.new', methods: ['get']},
+          books_create: {pattern: '/', controller: 'books.create', methods: ['post']},
+          _books_member: {
+            pattern: '/:bookslug',
+            requirements: {
+              bookslug: '[a-z-]+'
+            },
+            routes: {
+              books_show: {pattern: '/', controller: 'books.show', methods: ['get']},
+              books_edit: {pattern: '/edit', controller: 'books.edit', methods: ['get']},
+              books_update: {pattern: '/', controller: 'books.update', methods: ['put', 'patch']},
+              books_destroy: {pattern: '/', controller: 'books.destroy', methods: ['delete']}
+            }
+          }
+        }
+      });
+    });
+
+    it('filters the actions with only and except', function () {
+      expect(resource.getActionNames({only: ['index', 'show', 'edit'], except: 'edit'}))
+        .to.deep.equal(['index', 'show']);
+      expect(resource.getActionNames({except: ['new', 'edit']}))
+        .to.deep.equal(['index', 'create', 'show', 'update', 'destroy']);
+      expect(resource.getActionNames({only: 'index'})).to.deep.equal(['index']);
+    });
+
+    it('leaves out the member segment route without member actions', function () {
+      var expanded = resource.expand('books', {
+        type: 'resource',
+        pattern: '/books',
+        controller: 'books',
+        only: ['index', 'create']
+      });
+
+      expect(expanded.routes).to.have.keys(['books_index', 'books_create']);
+    });
+  });
+
+  describe('requests', function () {
+    it('dispatch every action with its verbs', function (done) {
+      var app = createApp({
+        type: 'resource',
+        pattern: '/books',
+        controller: 'books',
+        param: 'bookslug'
+      });
+
+      requestAll(app, [
+        ['GET', '/books'],
+        ['GET', '/books/new'],
+        ['POST', '/books'],
+        ['GET', '/books/dune'],
+        ['GET', '/books/dune/edit'],
+        ['PUT', '/books/dune'],
+        ['PATCH', '/books/dune'],
+        ['DELETE', '/books/dune'],
+        ['DELETE', '/books']
+      ], function (err, results) {
+        expect(results).to.deep.equal([
+          ['GET', '/books', 200, 'action books_index /books / {}'],
+          ['GET', '/books/new', 200, 'action books_new /books/new / {}'],
+          ['POST', '/books', 200, 'action books_create /books / {}'],
+          ['GET', '/books/dune', 200, 'action books_show /books/dune / {"bookslug":"dune"}'],
+          ['GET', '/books/dune/edit', 200, 'action books_edit /books/dune/edit / {"bookslug":"dune"}'],
+          ['PUT', '/books/dune', 200, 'action books_update /books/dune / {"bookslug":"dune"}'],
+          ['PATCH', '/books/dune', 200, 'action books_update /books/dune / {"bookslug":"dune"}'],
+          ['DELETE', '/books/dune', 200, 'action books_destroy /books/dune / {"bookslug":"dune"}'],
+          ['DELETE', '/books', 405, null]
+        ]);
+        done(err);
+      });
+    });
+
+    it('apply the settings of the param to member routes only', function (done) {
+      var router = helpers.createRouter();
+
+      router.instance.loadRoutes({
+        books: {
+          type: 'resource',
+          pattern: '/books',
+          controller: 'books',
+          except: ['new'],
+          types: {
+            id: 'int'
+          },
+          routes: {
+            books_search: {
+              pattern: '/search',
+              controller: 'books.search',
+              method: 'get'
+            }
+          }
+        }
+      });
+
+      expect(router.instance.hasRoute('books_new')).to.be.false;
+      expect(router.instance.generatePath('books_search')).to.equal('/books/search');
+      expect(router.instance.generatePath('books_edit', {id: 42})).to.equal('/books/42/edit');
+
+      requestAll(helpers.createApp(router), [
+        ['GET', '/books'],
+        ['GET', '/books/42']
+      ], function (err, results) {
+        expect(results).to.deep.equal([
+          ['GET', '/books', 200, 'action books_index /books / {}'],
+          ['GET', '/books/42', 200, 'action books_show /books/42 / {"id":42}']
+        ]);
+        done(err);
+      });
+    });
+  });
+});
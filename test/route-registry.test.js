@@ -0,0 +1,145 @@
+'use strict';
+
+var _ = require('lodash');
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  home: {
+    pattern: '/',
+    controller: 'trace.show'
+  },
+  _users: {
+    pattern: '/users',
+    routes: {
+      list_users: {
+        pattern: '/',
+        controller: 'trace.show'
+      },
+      show_user: {
+        pattern: '/:id',
+        controller: 'trace.show',
+        aliases: ['user']
+      }
+    }
+  },
+  about: {
+    pattern: '/about',
+    controller: 'trace.show'
+  }
+};
+
+describe('Route registry', function () {
+  var router;
+  var events;
+
+  beforeEach(function () {
+    router = helpers.createRouter().instance;
+    router.loadRoutes(ROUTES);
+
+    events = [];
+    router.on('route registered', function (route) {
+      events.push('registered ' + route.name);
+    });
+    router.on('route unregistered', function (route) {
+      events.push('unregistered ' + route.name);
+    });
+  });
+
+  describe('Routicorn#unregisterRoute()', function () {
+    it('removes a route and its descendants', function () {
+      var route = router.unregisterRoute('_users');
+
+      expect(route.name).to.equal('_users');
+      expect(router.getRoutes()).to.have.keys(['home', 'about']);
+      expect(_.keys(router.subRoutes)).to.deep.equal(['home', 'about']);
+      expect(router.match('GET', '/users/42').reason.code).to.equal('NOT_FOUND');
+      expect(events).to.deep.equal([
+        'unregistered list_users',
+        'unregistered show_user',
+        'unregistered _users'
+      ]);
+    });
+
+    it('frees the aliases of removed routes', function () {
+      router.unregisterRoute(router.getRoute('user'));
+
+      expect(router.hasRoute('show_user')).to.be.false;
+      expect(function () {
+        router.getRoute('user');
+      }).to.throw('Route does not exist: user');
+    });
+
+    it('does not unregister the router itself', function () {
+      expect(function () {
+        router.unregisterRoute(router);
+      }).to.throw('Cannot unregister the router itself');
+    });
+  });
+
+  describe('Routicorn#replaceRoute()', function () {
+    it('replaces a route at the same position', function () {
+      var oldRoute = router.getRoute('_users');
+      var newRoute = router.replaceRoute('_users', {
+        pattern: '/people',
+        routes: {
+          list_people: {
+            pattern: '/',
+            controller: 'trace.show'
+          }
+        }
+      });
+
+      expect(newRoute).not.to.equal(oldRoute);
+      expect(router.getRoute('_users')).to.equal(newRoute);
+      expect(_.keys(router.subRoutes)).to.deep.equal(['home', '_users', 'about']);
+      expect(router.hasRoute('show_user')).to.be.false;
+      expect(router.match('GET', '/people').route.name).to.equal('list_people');
+      expect(events).to.deep.equal([
+        'unregistered list_users',
+        'unregistered show_user',
+        'unregistered _users',
+        'registered list_people',
+        'registered _users'
+      ]);
+    });
+
+    it('restores the old route without emitting events if the new one cannot be created', function () {
+      var oldRoute = router.getRoute('_users');
+
+      expect(function () {
+        router.replaceRoute('_users', {
+          pattern: '/people',
+          routes: {
+            list_people: {
+              pattern: '/',
+              controller: 'trace.show'
+            },
+            show_person: {
+              pattern: '/:id',
+              controller: 'missing.show'
+            }
+          }
+        });
+      }).to.throw(/missing/);
+
+      expect(router.getRoute('_users')).to.equal(oldRoute);
+      expect(router.getRoute('user').name).to.equal('show_user');
+      expect(router.hasRoute('list_people')).to.be.false;
+      expect(_.keys(router.subRoutes)).to.deep.equal(['home', '_users', 'about']);
+      expect(router.match('GET', '/users/42').route.name).to.equal('show_user');
+      expect(events).to.deep.equal([]);
+    });
+
+    it('rejects invalid route configs', function () {
+      expect(function () {
+        router.replaceRoute('about', {
+          patern: '/about'
+        });
+      }).to.throw(/did you mean "pattern"/);
+
+      expect(router.match('GET', '/about').route.name).to.equal('about');
+      expect(events).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  _account: {
+    pattern: '/account',
+    schemes: ['https'],
+    routes: {
+      login: {
+        pattern: '/login',
+        controller: 'urls.show',
+        methods: ['get', 'post']
+      },
+      account_help: {
+        pattern: '/help',
+        controller: 'urls.show',
+        method: 'get',
+        schemes: ['http']
+      }
+    }
+  },
+  home: {
+    pattern: '/',
+    controller: 'urls.show',
+    method: 'get'
+  }
+};
+
+function createRouter(compiled) {
+  var router = helpers.createRouter({
+    compiled: compiled
+  });
+
+  router.instance.loadRoutes(ROUTES);
+
+  return router;
+}
+
+describe('Schemes', function () {
+  describe('URL generation', function () {
+    var router = createRouter().instance;
+
+    it('inherits the schemes of segment routes', function () {
+      expect(router.getRoute('login').getSchemes()).to.deep.equal(['https']);
+      expect(router.getRoute('account_help').getSchemes()).to.deep.equal(['http']);
+      expect(router.getRoute('home').getSchemes()).to.deep.equal([]);
+      expect(router.getRoute('login').acceptsScheme('HTTPS')).to.be.true;
+      expect(router.getRoute('home').acceptsScheme('http')).to.be.true;
+    });
+
+    it('switches to a scheme the route accepts', function () {
+      expect(router.generateUrl('login', {}, {}, {hostname: 'example.com', port: 8080}))
+        .to.equal('https://example.com/account/login');
+      expect(router.generateUrl('account_help', {}, {}, {hostname: 'example.com', secure: true}))
+        .to.equal('http://example.com/account/help');
+      expect(router.generateUrl('home', {}, {}, {hostname: 'example.com', port: 8080}))
+        .to.equal('http://example.com:8080/');
+    });
+
+    it('generates protocol relative URLs for routes that accept any scheme only', function () {
+      expect(router.generateUrl('home', {}, {}, {hostname: 'example.com', protoRelative: true}))
+        .to.equal('//example.com/');
+      expect(router.generateUrl('login', {}, {}, {hostname: 'example.com', protoRelative: true}))
+        .to.equal('https://example.com/account/login');
+    });
+
+    it('rejects unsupported schemes', function () {
+      expect(function () {
+        helpers.createRouter().instance.loadRoutes({
+          ftp_home: {
+            pattern: '/',
+            controller: 'urls.show',
+            schemes: ['ftp']
+          }
+        });
+      }).to.throw('ftp_home.schemes[0]: Unsupported scheme "ftp"');
+    });
+  });
+
+  [false, true].forEach(function (compiled) {
+    describe(compiled ? 'compiled' : 'nested', function () {
+      var app = helpers.createApp(createRouter(compiled));
+
+      app.enable('trust proxy');
+
+      // Behind a proxy, generated URLs leave out the port of the test server
+      function request(method, scheme, url, callback) {
+        helpers.request(app, method, url, {
+          Host: 'example.com',
+          'X-Forwarded-For': '10.0.0.1',
+          'X-Forwarded-Proto': scheme
+        }, callback);
+      }
+
+      it('redirect GET requests over the wrong scheme with status 301', function (done) {
+        request('GET', 'http', '/account/login?next=%2F', function (err, res) {
+          expect(res.status).to.equal(301);
+          expect(res.headers.location).to.equal('https://example.com/account/login?next=%2F');
+          done(err);
+        });
+      });
+
+      it('redirect other requests over the wrong scheme with status 308', function (done) {
+        request('POST', 'http', '/account/login', function (err, res) {
+          expect(res.status).to.equal(308);
+          expect(res.headers.location).to.equal('https://example.com/account/login');
+          done(err);
+        });
+      });
+
+      it('serve requests over an accepted scheme', function (done) {
+        request('GET', 'https', '/account/login', function (loginErr, login) {
+          expect(login.status).to.equal(200);
+          expect(login.body.route).to.equal('login');
+
+          request('GET', 'https', '/account/help', function (err, help) {
+            expect(help.status).to.equal(301);
+            expect(help.headers.location).to.equal('http://example.com/account/help');
+            done(loginErr || err);
+          });
+        });
+      });
+
+      it('generate absolute URLs for routes that do not accept the scheme of the request', function (done) {
+        request('GET', 'http', '/?to=login', function (httpErr, http) {
+          expect(http.body.path).to.equal('https://example.com/account/login');
+
+          request('GET', 'https', '/?to=home', function (err, https) {
+            expect(https.body.path).to.equal('/');
+            expect(https.body.url).to.equal('https://example.com/');
+            done(httpErr || err);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+var express = require('express');
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+
+var ROUTES = {
+  home: {
+    pattern: '/',
+    controller: 'trace.show'
+  },
+  helpers: {
+    pattern: '/helpers',
+    controller: 'views.helpers'
+  }
+};
+
+function createApp(locals) {
+  var router = helpers.createRouter();
+  var app = express();
+
+  router.instance.loadRoutes(ROUTES);
+
+  app.use(function (req, res, next) {
+    res.locals.path = locals.path;
+    res.locals.url = locals.url;
+    next();
+  });
+  app.use(router);
+
+  return app;
+}
+
+describe('View helpers', function () {
+  it('adds the path and url helpers to the view locals', function (done) {
+    helpers.request(createApp({}), 'GET', '/helpers', {host: 'example.com'}, function (err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(res.status).to.equal(200);
+      expect(res.body.path).to.equal('/?page=2');
+      expect(res.body.url).to.match(/^http:\/\/example\.com(:\d+)?\/\?page=2$/);
+      done();
+    });
+  });
+
+  it('keeps locals of the same names that the app has set', function (done) {
+    var app = createApp({
+      path: '/current/path'
+    });
+
+    helpers.request(app, 'GET', '/helpers', {host: 'example.com'}, function (err, res) {
+      if (err) {
+        return done(err);
+      }
+
+      expect(res.body.path).to.equal('/current/path');
+      expect(res.body.url).to.match(/^http:\/\/example\.com(:\d+)?\/\?page=2$/);
+      done();
+    });
+  });
+});
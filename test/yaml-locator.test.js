@@ -0,0 +1,84 @@
+'use strict';
+
+var expect = require('chai').expect;
+var createLocator = require('../lib/route/yaml-locator');
+
+describe('YAML locator', function () {
+  it('locates nested keys', function () {
+    var locate = createLocator([
+      '# Comment',
+      '_users:',
+      '  pattern: /users',
+      '  routes:',
+      '    list_users:',
+      '      "pattern": /',
+      '      controller: users.list'
+    ].join('\n'));
+
+    expect(locate(['_users'])).to.deep.equal({line: 2, column: 1});
+    expect(locate(['_users', 'routes', 'list_users'])).to.deep.equal({line: 5, column: 5});
+    expect(locate(['_users', 'routes', 'list_users', 'pattern'])).to.deep.equal({line: 6, column: 7});
+    expect(locate(['_users', 'routes', 'list_users', 'controller'])).to.deep.equal({line: 7, column: 7});
+  });
+
+  it('locates list items', function () {
+    var locate = createLocator([
+      'home:',
+      '  methods:',
+      '    - get',
+      '    - post',
+      '  middleware:',
+      '  - auth',
+      '  - cache:',
+      '      max_age: 60'
+    ].join('\n'));
+
+    expect(locate(['home', 'methods', 0])).to.deep.equal({line: 3, column: 5});
+    expect(locate(['home', 'methods', 1])).to.deep.equal({line: 4, column: 5});
+    expect(locate(['home', 'middleware', 0])).to.deep.equal({line: 6, column: 3});
+    expect(locate(['home', 'middleware', 1, 'cache'])).to.deep.equal({line: 7, column: 5});
+    expect(locate(['home', 'middleware', 1, 'cache', 'max_age'])).to.deep.equal({line: 8, column: 7});
+  });
+
+  it('skips block scalars', function () {
+    var locate = createLocator([
+      'home:',
+      '  description: |',
+      '    pattern: not a key',
+      '  pattern: /'
+    ].join('\n'));
+
+    expect(locate(['home', 'pattern'])).to.deep.equal({line: 4, column: 3});
+  });
+
+  it('falls back to the closest ancestor', function () {
+    var locate = createLocator([
+      'home:',
+      '  tags: [a, b]'
+    ].join('\n'));
+
+    expect(locate(['home', 'tags', 1])).to.deep.equal({line: 2, column: 3});
+    expect(locate(['unknown'])).to.be.null;
+  });
+
+  it('locates nodes in multi-document sources', function () {
+    var locate = createLocator([
+      '---',
+      'home:',
+      '  pattern: /',
+      '---',
+      '# Second document',
+      'home:',
+      '  pattern: /home',
+      '...',
+      '---',
+      'about:',
+      '  pattern: /about'
+    ].join('\n'));
+
+    expect(locate(['home', 'pattern'])).to.deep.equal({line: 3, column: 3});
+    expect(locate(['home', 'pattern'], 1)).to.deep.equal({line: 7, column: 3});
+    expect(locate(['about', 'pattern'], 2)).to.deep.equal({line: 11, column: 3});
+    expect(locate(['about'], 1)).to.be.null;
+  });
+});